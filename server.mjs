@@ -6,21 +6,81 @@
  * Run: npm install && npm start
  * Same WiFi required; firewall must allow inbound TCP on the chosen port.
  */
+import crypto from 'crypto';
 import http from 'http';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = __dirname;
-const PORT = Number(process.env.PORT) || 8080;
+/** PORT=0 takes any free port (the test suite relies on this); the startup banner prints the real one */
+const PORT = process.env.PORT === '0' ? 0 : Number(process.env.PORT) || 8080;
+
+/**
+ * Displays publish state and the action set that every tablet obeys, so the role is not open to anyone on the Wi‑Fi.
+ * With DISPLAY_SECRET set, a display's hello must carry it as `key` (index.html?key=…); otherwise displays must
+ * connect from this machine or an address in DISPLAY_ADDRESSES (comma-separated).
+ */
+const DISPLAY_SECRET = process.env.DISPLAY_SECRET || '';
+const DISPLAY_ADDRESSES = new Set((process.env.DISPLAY_ADDRESSES || '').split(',').map((a) => a.trim()).filter(Boolean));
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** Session event log (NDJSON); one file per day, rolled early when it grows past LOG_MAX_BYTES */
+const LOG_DIR = path.resolve(ROOT, process.env.LOG_DIR || 'logs');
+const LOG_MAX_BYTES = envNumber('LOG_MAX_BYTES', 50 * 1024 * 1024);
+
+/** Display tuning file; watched so on-site edits reach the display without a browser reload */
+const EXHIBIT_CONFIG_PATH = path.join(ROOT, 'exhibit.json');
+
+/** Operator console (/admin.html) password; the admin role is refused entirely when unset */
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+/** Shared secret for trusted local services calling /api/input (X-Ripples-Secret header); batch needs it */
+const INPUT_SECRET = process.env.INPUT_SECRET || '';
+/** Largest accepted /api/input/batch */
+const API_MAX_BATCH = 50;
+const API_MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Admins send whole exhibit configs and displays send the action registry and config errors,
+ * so their frames get a larger cap than RATE_LIMIT.maxMessageBytes
+ */
+const ADMIN_MAX_MESSAGE_BYTES = 64 * 1024;
+const LARGE_FRAME_ROLES = new Set(['admin', 'display']);
+
+/** Failed admin logins from one address inside RATE_LIMIT.abuseWindowMs before it is locked out of the admin role */
+const ADMIN_MAX_FAILURES = 5;
+
+/**
+ * Flood protection for /ws — one token bucket per connection (every frame costs a token).
+ * A child mashing all four buttons peaks around 15 taps/s, so the burst absorbs that and only scripts get cut off.
+ */
+const RATE_LIMIT = {
+  maxMessageBytes: envNumber('RELAY_MAX_MESSAGE_BYTES', 4096),
+  ratePerSec: envNumber('RELAY_RATE_PER_SEC', 10),
+  burst: envNumber('RELAY_RATE_BURST', 20),
+  /** This many dropped frames inside abuseWindowMs disconnects the client */
+  abuseDrops: envNumber('RELAY_ABUSE_DROPS', 60),
+  abuseWindowMs: 10000,
+  /** Reconnect ban after a kick; doubles per repeat offence up to banMaxMs */
+  banBaseMs: envNumber('RELAY_BAN_MS', 10000),
+  banMaxMs: 5 * 60 * 1000,
+  /** How often non-zero drop counters are printed */
+  logIntervalMs: 60000,
+};
 
 const MIME = {
   '.html': 'text/html; charset=utf-8',
   '.js': 'application/javascript; charset=utf-8',
   '.css': 'text/css; charset=utf-8',
   '.json': 'application/json',
+  '.ndjson': 'application/x-ndjson; charset=utf-8',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.jpeg': 'image/jpeg',
@@ -31,25 +91,165 @@ const MIME = {
   '.woff2': 'font/woff2',
 };
 
-/** Browsers aggressively cache mp4/sketch locally; kiosk restarts kept showing stale media until hard-refresh. */
-const SEND_NO_STORE = new Set(['.html', '.js', '.mp4', '.webm', '.mov', '.m4v']);
+/**
+ * Browsers aggressively cache mp4/sketch locally; kiosk restarts kept showing stale media until hard-refresh.
+ * These are sent with no-cache (always revalidate) — the ETag turns an unchanged file into a cheap 304.
+ */
+const SEND_REVALIDATE = new Set(['.html', '.js', '.json', '.mp4', '.webm', '.mov', '.m4v']);
+
+/** Weak validator from size + mtime; cheap (no hashing of multi-hundred-MB clips). */
+function fileEtag(st) {
+  return `W/"${st.size.toString(16)}-${Math.floor(st.mtimeMs).toString(16)}"`;
+}
 
-function sendFile(res, filePath) {
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag.replace(/^W\//, ''));
+}
+
+/**
+ * Parse a single "bytes=" range against a file of `size` bytes.
+ * Returns { start, end } (inclusive), null when the header should be ignored (malformed / multi-range → full 200),
+ * or 'unsatisfiable' for a 416.
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start;
+  let end;
+  if (m[1] === '') {
+    // Suffix range: last N bytes
+    const suffix = Number(m[2]);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/** Stream a public file; supports HEAD, If-None-Match (304) and single Range requests (206) so video can seek. */
+function sendFile(req, res, filePath, st) {
   const ext = path.extname(filePath).toLowerCase();
-  const type = MIME[ext] || 'application/octet-stream';
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      res.writeHead(err.code === 'ENOENT' ? 404 : 500);
-      res.end(err.code === 'ENOENT' ? 'Not found' : 'Server error');
+  const etag = fileEtag(st);
+  const headers = {
+    'Content-Type': MIME[ext] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': st.mtime.toUTCString(),
+  };
+  if (SEND_REVALIDATE.has(ext)) {
+    headers['Cache-Control'] = 'no-cache';
+  }
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+
+  let status = 200;
+  let start = 0;
+  let end = st.size - 1;
+  const rangeHeader = req.headers.range;
+  // If-Range: only honour the range when the client's copy is still current
+  const ifRange = req.headers['if-range'];
+  if (rangeHeader && (!ifRange || etagMatches(ifRange, etag))) {
+    const range = parseRange(rangeHeader, st.size);
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { 'Content-Range': `bytes */${st.size}`, 'Accept-Ranges': 'bytes' });
+      res.end();
       return;
     }
-    const headers = { 'Content-Type': type };
-    if (SEND_NO_STORE.has(ext)) {
-      headers['Cache-Control'] = 'no-store, max-age=0';
-      headers['Pragma'] = 'no-cache';
+    if (range) {
+      status = 206;
+      start = range.start;
+      end = range.end;
+      headers['Content-Range'] = `bytes ${start}-${end}/${st.size}`;
+    }
+  }
+  headers['Content-Length'] = st.size === 0 ? 0 : end - start + 1;
+
+  res.writeHead(status, headers);
+  if (req.method === 'HEAD' || st.size === 0) {
+    res.end();
+    return;
+  }
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on('error', () => res.destroy());
+  // Chrome cancels range requests constantly while seeking; stop reading as soon as the socket goes away
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+/**
+ * Only these pages/scripts and folders are reachable over HTTP. Everything else in the project folder
+ * (github-ssh/, .git/, planning.md, package-lock.json, …) stays private to the exhibit PC.
+ */
+const PUBLIC_FILES = new Set(['/index.html', '/display.html', '/controller.html', '/admin.html', '/sketch.js', '/exhibit.json']);
+const PUBLIC_DIRS = ['/assets/'];
+
+/** Map a request path to a file under ROOT, or null when it is not public (traversal, dotfiles, unlisted paths). */
+function resolvePublicPath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0') || decoded.includes('\\')) return null;
+  // Any "." / ".." segment or hidden file/folder (.git, .gitkeep, .DS_Store) is refused outright
+  if (decoded.split('/').some((seg) => seg.startsWith('.'))) return null;
+  const normalized = path.posix.normalize(decoded);
+  const listed = PUBLIC_FILES.has(normalized) || PUBLIC_DIRS.some((dir) => normalized.startsWith(dir));
+  if (!listed) return null;
+  const filePath = path.join(ROOT, normalized);
+  if (!filePath.startsWith(ROOT + path.sep)) return null;
+  return filePath;
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Not found');
+}
+
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/** Loopback or one of this machine's own interface addresses (a browser on the exhibit PC opening the LAN IP) */
+function isThisMachine(address) {
+  if (isLoopback(address)) return true;
+  const plain = address.replace(/^::ffff:/, '');
+  return Object.values(os.networkInterfaces()).some((list) => (list || []).some((iface) => iface.address === plain));
+}
+
+/**
+ * /logs/session-*.ndjson for index.html?mode=replay — only to browsers on this machine,
+ * since visitor logs must not be readable from the exhibit Wi‑Fi.
+ */
+function sendSessionLogFile(req, res, urlPath) {
+  const name = urlPath.slice('/logs/'.length);
+  if (!isLoopback(req.socket.remoteAddress) || !/^session-[\w.-]+\.ndjson$/.test(name) || name.includes('..')) {
+    sendNotFound(res);
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Method not allowed');
+    return;
+  }
+  const filePath = path.join(LOG_DIR, name);
+  fs.stat(filePath, (err, st) => {
+    if (err || !st.isFile()) {
+      sendNotFound(res);
+      return;
     }
-    res.writeHead(200, headers);
-    res.end(data);
+    sendFile(req, res, filePath, st);
   });
 }
 
@@ -61,45 +261,895 @@ const server = http.createServer((req, res) => {
     res.end('digital-ripples-relay');
     return;
   }
+  if (urlPath.startsWith('/logs/')) {
+    sendSessionLogFile(req, res, urlPath);
+    return;
+  }
+  if (urlPath.startsWith('/api/')) {
+    handleApiRequest(req, res, urlPath);
+    return;
+  }
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Method not allowed');
+    return;
+  }
   if (urlPath === '/') urlPath = '/index.html';
-  const safe = path.normalize(urlPath).replace(/^(\.\.(\/|\\|$))+/, '');
-  const filePath = path.join(ROOT, safe);
-  if (!filePath.startsWith(ROOT)) {
-    res.writeHead(403);
-    res.end('Forbidden');
+  const filePath = resolvePublicPath(urlPath);
+  if (!filePath) {
+    sendNotFound(res);
     return;
   }
   fs.stat(filePath, (err, st) => {
     if (err || !st.isFile()) {
-      res.writeHead(404);
-      res.end('Not found');
+      sendNotFound(res);
       return;
     }
-    sendFile(res, filePath);
+    sendFile(req, res, filePath, st);
   });
 });
 
-const wss = new WebSocketServer({ noServer: true });
+// --- Session event log -------------------------------------------------------
+//
+// Every accepted input, display state transition and client connect/disconnect is appended as one JSON line:
+//   { "ts": "<ISO time>", "t": <epoch ms>, "event": "input" | "state" | "connect" | "disconnect", … }
+// Files: LOG_DIR/session-YYYY-MM-DD.ndjson, then session-YYYY-MM-DD.1.ndjson, .2, … once a file passes LOG_MAX_BYTES.
+// The date is the exhibit PC's local day (a file runs midnight to midnight on site); "ts" inside stays UTC.
 
-wss.on('connection', (ws) => {
-  ws.on('message', (raw) => {
-    let text = raw.toString();
+const sessionLog = {
+  stream: null,
+  day: '',
+  part: 0,
+  bytes: 0,
+  disabled: false,
+};
+
+function sessionLogPath(day, part) {
+  return path.join(LOG_DIR, part === 0 ? `session-${day}.ndjson` : `session-${day}.${part}.ndjson`);
+}
+
+function openSessionLog(day) {
+  if (sessionLog.stream) sessionLog.stream.end();
+  if (day !== sessionLog.day) {
+    sessionLog.day = day;
+    sessionLog.part = 0;
+  }
+  // Resume today's newest part after a restart instead of starting a fresh .0
+  while (true) {
+    let size = 0;
     try {
-      const msg = JSON.parse(text);
-      if (msg.type !== 'input' || !msg.action) return;
+      size = fs.statSync(sessionLogPath(day, sessionLog.part)).size;
     } catch {
+      size = 0;
+    }
+    if (size < LOG_MAX_BYTES) {
+      sessionLog.bytes = size;
+      break;
+    }
+    sessionLog.part++;
+  }
+  sessionLog.stream = fs.createWriteStream(sessionLogPath(day, sessionLog.part), { flags: 'a' });
+  sessionLog.stream.on('error', (err) => {
+    console.warn(`[relay] session log disabled: ${err.message}`);
+    sessionLog.disabled = true;
+    sessionLog.stream = null;
+  });
+}
+
+/** YYYY-MM-DD in local time; toISOString() would roll the file over at UTC midnight instead */
+function localDay(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function logEvent(event, fields) {
+  if (sessionLog.disabled) return;
+  const now = new Date();
+  const ts = now.toISOString();
+  const day = localDay(now);
+  if (!sessionLog.stream || day !== sessionLog.day) {
+    openSessionLog(day);
+  } else if (sessionLog.bytes >= LOG_MAX_BYTES) {
+    sessionLog.part++;
+    openSessionLog(day);
+  }
+  if (!sessionLog.stream) return;
+  const line = JSON.stringify({ ts, t: now.getTime(), event, ...fields }) + '\n';
+  sessionLog.bytes += Buffer.byteLength(line);
+  sessionLog.stream.write(line);
+}
+
+try {
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+} catch (err) {
+  console.warn(`[relay] cannot create log dir ${LOG_DIR}: ${err.message}; session log disabled`);
+  sessionLog.disabled = true;
+}
+
+/**
+ * Relay protocol — JSON text frames; every frame carries `v: PROTOCOL_VERSION`.
+ *
+ *   client → relay    { v, type: 'hello', role }            role: 'display' | 'controller' | 'admin'; must come first
+ *                                                           displays: key (= DISPLAY_SECRET) or a trusted address, else closed
+ *   relay  → client   { v, type: 'welcome', id, role }      id is this connection's client id
+ *   client → relay    { v, type: 'input', action }          controller/admin only; action is a key of the current action set
+ *   relay  → displays { v, type: 'input', action, from, intensity?, source? }
+ *                                                           from = sender's client id, or 'api' for POST /api/input
+ *   display → relay   { v, type: 'state', state, meter, blackout, overloadRemainingMs, quadrant: { happySad, noiseSilence }, debug }
+ *   relay  → controllers/admins  same 'state' frame (+ from); the latest one is replayed to late joiners after welcome
+ *   relay  → controllers/admins  { v, type: 'display_offline' }   last display disconnected; cached state dropped
+ *
+ *   Action registry (exhibit.json "actions", validated by the display):
+ *   display → relay   { v, type: 'actions', actions: [{ key, name, label, button, accent }] }   on connect and config change
+ *   relay  → controllers/admins  same 'actions' frame (+ from); replayed after welcome. Controllers build their
+ *                     button grid from it; its keys become the accepted input actions (DEFAULT_ACTION_KEYS until then)
+ *                     The first display to publish owns the set while it stays connected; a different set from
+ *                     another display is refused (forbidden) and logged instead of replacing it
+ *
+ *   Admin (hello also carries password — must equal ADMIN_PASSWORD; a wrong one closes the socket):
+ *   relay  → admins   { v, type: 'roster', clients: [{ id, role, address, connectedAt }] }   on every join/leave
+ *   admin  → relay    { v, type: 'command', command }       command is one of ADMIN_COMMANDS
+ *   relay  → displays { v, type: 'command', command, from }
+ *   (admins may also send 'input' frames to fire any action remotely)
+ *
+ *   Live tuning (exhibit.json):
+ *   relay  → displays/admins  { v, type: 'config', config }     after hello, on file change, after an admin edit
+ *   admin  → relay    { v, type: 'config', config }            replaces exhibit.json on disk, then pushed as above
+ *   display → relay   { v, type: 'config_status', errors }     validation problems (empty when clean) → admins
+ *   relay  → admin    { v, type: 'config_status', errors, from: 'relay' }   admin edit refused (unknown section,
+ *                     wrong value type); exhibit.json is left untouched
+ *
+ *   relay  → client   { v, type: 'error', code, message }   code is one of ERROR_CODES; the connection stays open
+ *
+ * Bump PROTOCOL_VERSION on breaking changes; sketch.js and controller.html mirror it.
+ */
+const PROTOCOL_VERSION = 1;
+
+/** Mirrors BUILTIN_ACTIONS in sketch.js; used until a display reports its registry */
+const DEFAULT_ACTION_KEYS = ['LIKE', 'DISLIKE', 'POSITIVE_COMMENT', 'NEGATIVE_COMMENT'];
+/** Mirrors the actions map rules in sketch.js (EXHIBIT_SCHEMA.actions) */
+const ACTION_KEY_PATTERN = /^[A-Z][A-Z0-9_]{0,31}$/;
+const MAX_ACTIONS = 12;
+const ROLES = new Set(['display', 'controller', 'admin']);
+/** Roles allowed to send input frames */
+const INPUT_ROLES = new Set(['controller', 'admin']);
+/** Operator overrides handled by the display (see handleRelayCommand in sketch.js) */
+const ADMIN_COMMANDS = new Set(['force_overload', 'force_recover', 'reset_meter', 'reset_quadrant', 'toggle_debug']);
+/** Roles that follow the exhibit state published by the display */
+const STATE_FOLLOWER_ROLES = ['controller', 'admin'];
+/** Mirrors STATE in sketch.js */
+const EXHIBIT_STATES = new Set(['CALM', 'ACTIVE', 'OVERLOAD', 'RECOVER']);
+
+const ERROR_CODES = Object.freeze({
+  BAD_JSON: 'bad_json',
+  BAD_FRAME: 'bad_frame',
+  BAD_VERSION: 'bad_version',
+  HELLO_REQUIRED: 'hello_required',
+  BAD_ROLE: 'bad_role',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNKNOWN_ACTION: 'unknown_action',
+  FORBIDDEN: 'forbidden',
+  RATE_LIMITED: 'rate_limited',
+  BAD_PASSWORD: 'bad_password',
+  UNKNOWN_COMMAND: 'unknown_command',
+});
+
+/** ws → { id, role } (role null until hello) */
+const peers = new Map();
+let nextClientId = 1;
+/** Last 'state' frame from a display (already serialised for followers), or null */
+let lastExhibitState = null;
+/** Action keys accepted from controllers, admins and /api/input */
+let actionKeys = new Set(DEFAULT_ACTION_KEYS);
+/** Last 'actions' frame from a display (already serialised for followers), or null; kept when displays leave */
+let lastActionList = null;
+/** Client id of the display whose action set is in force, or null once it disconnects */
+let actionOwnerId = null;
+
+// --- Exhibit config (exhibit.json) -------------------------------------------
+//
+// sketch.js owns the tuning schema and range-checks every value. Before an admin edit is written, the relay only
+// checks its outline (known sections, value types a tuning can hold) so a bad save never reaches the file on disk.
+
+/** Mirrors the top-level sections of EXHIBIT_SCHEMA in sketch.js */
+const EXHIBIT_SECTIONS = new Set(['actions', 'activity', 'ripples', 'quadrant', 'video', 'sound', 'waveField']);
+
+/** Parsed exhibit.json, or null while missing/invalid */
+let exhibitConfig = null;
+let exhibitConfigText = '';
+
+function readExhibitConfigFile() {
+  let text;
+  try {
+    text = fs.readFileSync(EXHIBIT_CONFIG_PATH, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[relay] cannot read exhibit.json: ${err.message}`);
+    return false;
+  }
+  if (text === exhibitConfigText) return false;
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    console.warn(`[relay] exhibit.json is not valid JSON (${err.message}); keeping the previous config`);
+    return false;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    console.warn('[relay] exhibit.json must contain a JSON object; keeping the previous config');
+    return false;
+  }
+  exhibitConfig = parsed;
+  exhibitConfigText = text;
+  return true;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/** Type problems below `prefix`: leaves are numbers, booleans, strings or number arrays (vectors, colours) */
+function collectConfigTypeProblems(value, prefix, errors) {
+  for (const [key, v] of Object.entries(value)) {
+    const where = `${prefix}.${key}`;
+    if (isPlainObject(v)) {
+      collectConfigTypeProblems(v, where, errors);
+    } else if (Array.isArray(v) ? !v.every(isFiniteNumber) : !(isFiniteNumber(v) || typeof v === 'boolean' || typeof v === 'string')) {
+      errors.push(`${where}: must be a number, boolean, string, list of numbers or object`);
+    }
+  }
+}
+
+/** Reasons an admin-sent config must not be saved (empty when its outline is sound) */
+function exhibitConfigProblems(config) {
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    if (!EXHIBIT_SECTIONS.has(key)) {
+      errors.push(`${key}: unknown section (expected ${[...EXHIBIT_SECTIONS].join(', ')})`);
+    } else if (!isPlainObject(value)) {
+      errors.push(`${key}: must be an object`);
+    } else {
+      collectConfigTypeProblems(value, key, errors);
+    }
+  }
+  return errors.slice(0, 50);
+}
+
+function pushExhibitConfig() {
+  if (exhibitConfig) broadcastToRoles(['display', 'admin'], { type: 'config', config: exhibitConfig });
+}
+
+function watchExhibitConfig() {
+  let debounce = null;
+  // Watch the folder, not the file: editors that save via rename would silently end a file watch
+  try {
+    fs.watch(ROOT, (eventType, filename) => {
+      if (filename !== path.basename(EXHIBIT_CONFIG_PATH)) return;
+      clearTimeout(debounce);
+      debounce = setTimeout(() => {
+        if (readExhibitConfigFile()) {
+          console.log('[relay] exhibit.json changed; pushing to displays');
+          pushExhibitConfig();
+        }
+      }, 150);
+    });
+  } catch (err) {
+    console.warn(`[relay] cannot watch exhibit.json (${err.message}); live tuning only via admin console`);
+  }
+}
+
+/** Persist an admin edit (write + rename so a crash never leaves half a file), then push it */
+function saveExhibitConfig(config, done) {
+  const text = JSON.stringify(config, null, 2) + '\n';
+  const tmp = `${EXHIBIT_CONFIG_PATH}.tmp`;
+  fs.writeFile(tmp, text, (err) => {
+    if (err) {
+      done(err);
+      return;
+    }
+    fs.rename(tmp, EXHIBIT_CONFIG_PATH, (renameErr) => {
+      if (renameErr) {
+        done(renameErr);
+        return;
+      }
+      exhibitConfig = config;
+      exhibitConfigText = text; // the watcher will see identical text and stay quiet
+      pushExhibitConfig();
+      done(null);
+    });
+  });
+}
+
+readExhibitConfigFile();
+watchExhibitConfig();
+
+function sendMessage(ws, msg) {
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify({ v: PROTOCOL_VERSION, ...msg }));
+  }
+}
+
+function sendError(ws, code, message) {
+  if (code !== ERROR_CODES.RATE_LIMITED) dropCounters.invalid++;
+  sendMessage(ws, { type: 'error', code, message });
+}
+
+function broadcastToRole(role, msg) {
+  broadcastToRoles([role], msg);
+}
+
+function broadcastToRoles(roles, msg) {
+  const text = JSON.stringify({ v: PROTOCOL_VERSION, ...msg });
+  for (const [client, peer] of peers) {
+    if (roles.includes(peer.role) && client.readyState === 1) {
+      client.send(text);
+    }
+  }
+}
+
+function isFiniteNumber(n) {
+  return typeof n === 'number' && Number.isFinite(n);
+}
+
+function shortString(v, max) {
+  return typeof v === 'string' ? v.slice(0, max) : '';
+}
+
+/** Returns the display's action list trimmed to what controllers need, or null when it is malformed */
+function sanitizeActionList(list) {
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_ACTIONS) return null;
+  const seen = new Set();
+  const out = [];
+  for (const a of list) {
+    if (!a || typeof a !== 'object' || typeof a.key !== 'string' || !ACTION_KEY_PATTERN.test(a.key) || seen.has(a.key)) {
+      return null;
+    }
+    seen.add(a.key);
+    const accent = Array.isArray(a.accent) && a.accent.length === 3 && a.accent.every((c) => isFiniteNumber(c) && c >= 0 && c <= 255)
+      ? a.accent
+      : null;
+    out.push({
+      key: a.key,
+      name: shortString(a.name, 40) || a.key,
+      label: shortString(a.label, 40) || a.key,
+      button: shortString(a.button, 200),
+      accent,
+    });
+  }
+  return out;
+}
+
+function secretMatches(given, expected) {
+  if (!expected || typeof given !== 'string') return false;
+  // Compare digests so timingSafeEqual gets equal lengths and timing leaks nothing about the secret
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/** remote address → timestamps of recent failed admin logins */
+const adminFailures = new Map();
+/**
+ * remote address → { untilMs, strikes, lastStrikeMs }, same shape and back-off as `bans` but only refuses role 'admin':
+ * a guessed password must not take the tablet or display sharing that address offline.
+ */
+const adminLockouts = new Map();
+
+function recordAdminFailure(address, now) {
+  const recent = (adminFailures.get(address) || []).filter((t) => now - t < RATE_LIMIT.abuseWindowMs);
+  recent.push(now);
+  adminFailures.set(address, recent);
+  if (recent.length >= ADMIN_MAX_FAILURES) {
+    adminFailures.delete(address);
+    const lockMs = banAddress(address, now, adminLockouts);
+    console.warn(`[relay] ${address} locked out of the admin console ${Math.round(lockMs / 1000)}s after repeated bad passwords`);
+  }
+}
+
+function broadcastRoster() {
+  const clients = [];
+  for (const peer of peers.values()) {
+    if (peer.role) {
+      clients.push({ id: peer.id, role: peer.role, address: peer.address, connectedAt: peer.connectedAt });
+    }
+  }
+  broadcastToRole('admin', { type: 'roster', clients });
+}
+
+function countPeers(role) {
+  let n = 0;
+  for (const peer of peers.values()) {
+    if (peer.role === role) n++;
+  }
+  return n;
+}
+
+/** Hand an accepted input to every display — the one path for controller taps, admin fires and /api/input. */
+function relayInput(action, from, extra = {}) {
+  logEvent('input', { client: from, action, ...extra });
+  broadcastToRole('display', { type: 'input', action, from, ...extra });
+}
+
+function displayAllowed(peer, msg) {
+  if (DISPLAY_SECRET) return secretMatches(msg.key, DISPLAY_SECRET);
+  return isThisMachine(peer.address) || DISPLAY_ADDRESSES.has(peer.address.replace(/^::ffff:/, ''));
+}
+
+/** Handlers by message type; each gets (ws, peer, msg) after version/hello checks. */
+const MESSAGE_HANDLERS = {
+  hello(ws, peer, msg) {
+    if (peer.role) {
+      sendError(ws, ERROR_CODES.BAD_FRAME, 'hello already received on this connection');
+      return;
+    }
+    if (!ROLES.has(msg.role)) {
+      sendError(ws, ERROR_CODES.BAD_ROLE, `role must be one of: ${[...ROLES].join(', ')}`);
+      return;
+    }
+    if (msg.role === 'admin') {
+      if (!ADMIN_PASSWORD) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, 'admin console is disabled (start the relay with ADMIN_PASSWORD set)');
+        return;
+      }
+      const lockMs = banRemaining(peer.address, Date.now(), adminLockouts);
+      if (lockMs > 0) {
+        sendError(ws, ERROR_CODES.FORBIDDEN, `too many wrong passwords; try again in ${Math.ceil(lockMs / 1000)}s`);
+        ws.close(1008, 'admin locked out');
+        return;
+      }
+      if (!secretMatches(msg.password, ADMIN_PASSWORD)) {
+        sendError(ws, ERROR_CODES.BAD_PASSWORD, 'wrong admin password');
+        recordAdminFailure(peer.address, Date.now());
+        ws.close(1008, 'bad password');
+        return;
+      }
+    }
+    if (msg.role === 'display' && !displayAllowed(peer, msg)) {
+      sendError(ws, ERROR_CODES.FORBIDDEN, DISPLAY_SECRET
+        ? 'display key missing or wrong (open the display with ?key=…)'
+        : 'displays must run on the relay machine or an address in DISPLAY_ADDRESSES');
+      console.warn(`[relay] refused display from ${peer.address}`);
+      ws.close(1008, 'display not allowed');
+      return;
+    }
+    peer.role = msg.role;
+    logEvent('connect', { client: peer.id, role: peer.role, address: peer.address });
+    sendMessage(ws, { type: 'welcome', id: peer.id, role: peer.role });
+    if (STATE_FOLLOWER_ROLES.includes(peer.role)) {
+      if (lastActionList) sendMessage(ws, lastActionList);
+      if (lastExhibitState) sendMessage(ws, lastExhibitState);
+    }
+    if (exhibitConfig && (peer.role === 'display' || peer.role === 'admin')) {
+      sendMessage(ws, { type: 'config', config: exhibitConfig });
+    }
+    broadcastRoster();
+  },
+
+  input(ws, peer, msg) {
+    if (!INPUT_ROLES.has(peer.role)) {
+      sendError(ws, ERROR_CODES.FORBIDDEN, `role '${peer.role}' cannot send input`);
+      return;
+    }
+    if (typeof msg.action !== 'string' || !actionKeys.has(msg.action)) {
+      sendError(ws, ERROR_CODES.UNKNOWN_ACTION, `action must be one of: ${[...actionKeys].join(', ')}`);
+      return;
+    }
+    relayInput(msg.action, peer.id);
+  },
+
+  state(ws, peer, msg) {
+    // The role is only granted after displayAllowed(), so a page on the Wi‑Fi cannot fake an OVERLOAD for the tablets
+    if (peer.role !== 'display') {
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'only displays publish state');
+      return;
+    }
+    const q = msg.quadrant;
+    const valid =
+      EXHIBIT_STATES.has(msg.state) &&
+      isFiniteNumber(msg.meter) &&
+      isFiniteNumber(msg.blackout) &&
+      isFiniteNumber(msg.overloadRemainingMs) &&
+      q && isFiniteNumber(q.happySad) && isFiniteNumber(q.noiseSilence);
+    if (!valid) {
+      sendError(ws, ERROR_CODES.BAD_FRAME, 'state frame needs state, meter, blackout, overloadRemainingMs and quadrant');
+      return;
+    }
+    const prev = lastExhibitState ? lastExhibitState.state : null;
+    if (msg.state !== prev) {
+      logEvent('state', { client: peer.id, state: msg.state, prev, meter: msg.meter, quadrant: { happySad: q.happySad, noiseSilence: q.noiseSilence } });
+    }
+    lastExhibitState = {
+      type: 'state',
+      state: msg.state,
+      meter: msg.meter,
+      blackout: msg.blackout,
+      overloadRemainingMs: msg.overloadRemainingMs,
+      quadrant: { happySad: q.happySad, noiseSilence: q.noiseSilence },
+      debug: msg.debug === true,
+      from: peer.id,
+    };
+    broadcastToRoles(STATE_FOLLOWER_ROLES, lastExhibitState);
+  },
+
+  actions(ws, peer, msg) {
+    if (peer.role !== 'display') {
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'only displays publish the action set');
+      return;
+    }
+    const list = sanitizeActionList(msg.actions);
+    if (!list) {
+      sendError(ws, ERROR_CODES.BAD_FRAME, `actions must be 1–${MAX_ACTIONS} entries with unique UPPER_SNAKE_CASE keys`);
+      return;
+    }
+    const keys = list.map((a) => a.key);
+    const changed = keys.join(',') !== [...actionKeys].join(',');
+    if (actionOwnerId !== null && actionOwnerId !== peer.id && changed) {
+      sendError(ws, ERROR_CODES.FORBIDDEN, `display ${actionOwnerId} owns the action set; disconnect it first`);
+      console.warn(`[relay] display ${peer.id} tried to replace the action set of display ${actionOwnerId}: ${keys.join(', ')}`);
+      logEvent('actions_refused', { client: peer.id, owner: actionOwnerId, actions: keys });
+      return;
+    }
+    if (changed) {
+      console.log(`[relay] display ${peer.id} action set: ${keys.join(', ')}`);
+      logEvent('actions', { client: peer.id, actions: keys });
+    }
+    if (actionOwnerId === null) actionOwnerId = peer.id;
+    actionKeys = new Set(keys);
+    lastActionList = { type: 'actions', actions: list, from: peer.id };
+    broadcastToRoles(STATE_FOLLOWER_ROLES, lastActionList);
+  },
+
+  command(ws, peer, msg) {
+    if (peer.role !== 'admin') {
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'only admins send commands');
+      return;
+    }
+    if (!ADMIN_COMMANDS.has(msg.command)) {
+      sendError(ws, ERROR_CODES.UNKNOWN_COMMAND, `command must be one of: ${[...ADMIN_COMMANDS].join(', ')}`);
+      return;
+    }
+    console.log(`[relay] admin ${peer.id} (${peer.address}): ${msg.command}`);
+    broadcastToRole('display', { type: 'command', command: msg.command, from: peer.id });
+  },
+
+  config(ws, peer, msg) {
+    if (peer.role !== 'admin') {
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'only admins edit the exhibit config');
+      return;
+    }
+    const config = msg.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      sendError(ws, ERROR_CODES.BAD_FRAME, 'config must be a JSON object');
+      return;
+    }
+    const problems = exhibitConfigProblems(config);
+    if (problems.length) {
+      // Same frame the displays use to report problems, from 'relay': nothing was written
+      sendMessage(ws, { type: 'config_status', errors: problems, from: 'relay' });
+      return;
+    }
+    saveExhibitConfig(config, (err) => {
+      if (err) {
+        console.warn(`[relay] could not save exhibit.json: ${err.message}`);
+        sendError(ws, ERROR_CODES.BAD_FRAME, `could not save exhibit.json: ${err.message}`);
+        return;
+      }
+      console.log(`[relay] admin ${peer.id} (${peer.address}) updated exhibit.json`);
+    });
+  },
+
+  config_status(ws, peer, msg) {
+    if (peer.role !== 'display') {
+      sendError(ws, ERROR_CODES.FORBIDDEN, 'only displays report config status');
+      return;
+    }
+    const errors = Array.isArray(msg.errors) ? msg.errors.filter((e) => typeof e === 'string').slice(0, 50) : [];
+    broadcastToRole('admin', { type: 'config_status', errors, from: peer.id });
+  },
+};
+
+function handleFrame(ws, peer, raw, isBinary) {
+  if (isBinary) {
+    sendError(ws, ERROR_CODES.BAD_FRAME, 'binary frames are not supported');
+    return;
+  }
+  let msg;
+  try {
+    msg = JSON.parse(raw.toString());
+  } catch {
+    sendError(ws, ERROR_CODES.BAD_JSON, 'frame is not valid JSON');
+    return;
+  }
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+    sendError(ws, ERROR_CODES.BAD_FRAME, 'frame must be an object with a string "type"');
+    return;
+  }
+  if (msg.v !== PROTOCOL_VERSION) {
+    sendError(ws, ERROR_CODES.BAD_VERSION, `unsupported protocol version; relay speaks v${PROTOCOL_VERSION}`);
+    return;
+  }
+  const handler = Object.hasOwn(MESSAGE_HANDLERS, msg.type) ? MESSAGE_HANDLERS[msg.type] : null;
+  if (!handler) {
+    sendError(ws, ERROR_CODES.UNKNOWN_TYPE, `unknown message type '${msg.type}'`);
+    return;
+  }
+  if (!peer.role && msg.type !== 'hello') {
+    sendError(ws, ERROR_CODES.HELLO_REQUIRED, 'send { type: "hello", role } first');
+    return;
+  }
+  handler(ws, peer, msg);
+}
+
+// --- Flood protection -------------------------------------------------------
+
+function createTokenBucket(now) {
+  return { tokens: RATE_LIMIT.burst, lastRefillMs: now };
+}
+
+function takeToken(bucket, now) {
+  const refill = ((now - bucket.lastRefillMs) / 1000) * RATE_LIMIT.ratePerSec;
+  bucket.tokens = Math.min(RATE_LIMIT.burst, bucket.tokens + refill);
+  bucket.lastRefillMs = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+/** Drops since the last log line, so saturation (rateLimited) reads differently from bugs (invalid) */
+const dropCounters = { rateLimited: 0, oversize: 0, invalid: 0, kicked: 0, bannedUpgrades: 0 };
+
+/** remote address → { untilMs, strikes, lastStrikeMs } */
+const bans = new Map();
+
+function banRemaining(address, now, table = bans) {
+  const ban = table.get(address);
+  return ban && ban.untilMs > now ? ban.untilMs - now : 0;
+}
+
+function banAddress(address, now, table = bans) {
+  const prev = table.get(address);
+  // Forgive old offences so a kiosk tablet is not punished all day for one bad minute
+  const strikes = prev && now - prev.lastStrikeMs < RATE_LIMIT.banMaxMs * 2 ? prev.strikes + 1 : 1;
+  const ms = Math.min(RATE_LIMIT.banBaseMs * 2 ** (strikes - 1), RATE_LIMIT.banMaxMs);
+  table.set(address, { untilMs: now + ms, strikes, lastStrikeMs: now });
+  return ms;
+}
+
+/** Displays and pages on the exhibit PC itself are kicked but never banned, or one buggy tab would lock the display out */
+function banExempt(peer) {
+  return peer.role === 'display' || isThisMachine(peer.address);
+}
+
+function recordDrop(ws, peer, now) {
+  peer.drops = peer.drops.filter((t) => now - t < RATE_LIMIT.abuseWindowMs);
+  peer.drops.push(now);
+  if (peer.drops.length < RATE_LIMIT.abuseDrops) return;
+  dropCounters.kicked++;
+  if (banExempt(peer)) {
+    console.warn(`[relay] client ${peer.id} (${peer.role || 'no role'}, ${peer.address}) kicked for flooding; not banned`);
+  } else {
+    const banMs = banAddress(peer.address, now);
+    console.warn(
+      `[relay] client ${peer.id} (${peer.role || 'no role'}, ${peer.address}) kicked for flooding; banned ${Math.round(banMs / 1000)}s`
+    );
+  }
+  ws.close(1008, 'rate limit exceeded');
+}
+
+setInterval(() => {
+  const total = Object.values(dropCounters).reduce((sum, n) => sum + n, 0);
+  if (total > 0) {
+    const parts = Object.entries(dropCounters).map(([k, n]) => `${k}=${n}`);
+    console.log(`[relay] dropped in last ${RATE_LIMIT.logIntervalMs / 1000}s: ${parts.join(' ')}`);
+    for (const k of Object.keys(dropCounters)) dropCounters[k] = 0;
+  }
+  const now = Date.now();
+  for (const table of [bans, adminLockouts]) {
+    for (const [address, ban] of table) {
+      if (ban.untilMs <= now && now - ban.lastStrikeMs > RATE_LIMIT.banMaxMs * 2) table.delete(address);
+    }
+  }
+  for (const [address, bucket] of apiBuckets) {
+    if (now - bucket.lastRefillMs > RATE_LIMIT.logIntervalMs) apiBuckets.delete(address);
+  }
+}, RATE_LIMIT.logIntervalMs).unref();
+
+// --- HTTP input API ----------------------------------------------------------
+//
+//   POST /api/input        { action, source, intensity? }   → 202 { ok: true, accepted: 1 }
+//   POST /api/input/batch  { inputs: [{ action, source, intensity? }, …] }   (X-Ripples-Secret required)
+//
+// Errors answer { error: { code, message } } with the same codes as WebSocket error frames.
+// Anonymous callers share the WebSocket token-bucket limits per address; a valid X-Ripples-Secret skips them.
+
+/** remote address → token bucket for anonymous /api/input callers */
+const apiBuckets = new Map();
+
+function sendJson(res, status, body, extraHeaders = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...extraHeaders });
+  res.end(JSON.stringify(body));
+}
+
+function sendApiError(res, status, code, message) {
+  sendJson(res, status, { error: { code, message } });
+}
+
+/** Resolves the parsed JSON body, or rejects with { status, code, message } */
+function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim();
+    if (type !== 'application/json') {
+      reject({ status: 415, code: ERROR_CODES.BAD_FRAME, message: 'Content-Type must be application/json' });
+      req.resume();
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return; // drain the rest so the 413 still reaches the caller
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject({ status: 413, code: ERROR_CODES.BAD_FRAME, message: `body exceeds ${maxBytes} bytes` });
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject({ status: 400, code: ERROR_CODES.BAD_JSON, message: 'body is not valid JSON' });
+      }
+    });
+    req.on('error', () => reject({ status: 400, code: ERROR_CODES.BAD_FRAME, message: 'request aborted' }));
+  });
+}
+
+/** Returns an error message for a bad input object, or null when it is acceptable */
+function validateApiInput(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return 'each input must be an object';
+  if (typeof input.action !== 'string' || !actionKeys.has(input.action)) {
+    return `action must be one of: ${[...actionKeys].join(', ')}`;
+  }
+  if (typeof input.source !== 'string' || input.source.length === 0 || input.source.length > 64) {
+    return 'source must be a non-empty string (max 64 chars)';
+  }
+  if (input.intensity !== undefined && !(isFiniteNumber(input.intensity) && input.intensity >= 0 && input.intensity <= 1)) {
+    return 'intensity must be a number from 0 to 1';
+  }
+  return null;
+}
+
+function relayApiInput(input) {
+  const extra = { source: input.source };
+  if (input.intensity !== undefined) extra.intensity = input.intensity;
+  relayInput(input.action, 'api', extra);
+}
+
+async function handleApiRequest(req, res, urlPath) {
+  const isBatch = urlPath === '/api/input/batch';
+  if (urlPath !== '/api/input' && !isBatch) {
+    sendApiError(res, 404, ERROR_CODES.UNKNOWN_TYPE, 'unknown endpoint');
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendApiError(res, 405, ERROR_CODES.BAD_FRAME, 'use POST');
+    return;
+  }
+  const address = req.socket.remoteAddress || 'unknown';
+  const trusted = secretMatches(req.headers['x-ripples-secret'], INPUT_SECRET);
+  if (isBatch && !trusted) {
+    sendApiError(res, 403, ERROR_CODES.FORBIDDEN, 'batch input needs a valid X-Ripples-Secret header');
+    return;
+  }
+  if (!trusted) {
+    const now = Date.now();
+    if (banRemaining(address, now) > 0) {
+      dropCounters.bannedUpgrades++;
+      sendApiError(res, 429, ERROR_CODES.RATE_LIMITED, 'temporarily banned for flooding');
       return;
     }
-    for (const client of wss.clients) {
-      if (client.readyState === 1) {
-        client.send(text);
+    if (!apiBuckets.has(address)) apiBuckets.set(address, createTokenBucket(now));
+    if (!takeToken(apiBuckets.get(address), now)) {
+      dropCounters.rateLimited++;
+      sendApiError(res, 429, ERROR_CODES.RATE_LIMITED, `slow down: max ${RATE_LIMIT.ratePerSec} requests/s`);
+      return;
+    }
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req, isBatch ? API_MAX_BODY_BYTES : RATE_LIMIT.maxMessageBytes);
+  } catch (err) {
+    dropCounters.invalid++;
+    sendApiError(res, err.status, err.code, err.message);
+    return;
+  }
+
+  const inputs = isBatch ? body && body.inputs : [body];
+  if (!Array.isArray(inputs) || inputs.length === 0 || inputs.length > API_MAX_BATCH) {
+    dropCounters.invalid++;
+    sendApiError(res, 400, ERROR_CODES.BAD_FRAME, `inputs must be an array of 1–${API_MAX_BATCH} items`);
+    return;
+  }
+  // Validate everything first so a batch is all-or-nothing
+  for (let i = 0; i < inputs.length; i++) {
+    const problem = validateApiInput(inputs[i]);
+    if (problem) {
+      dropCounters.invalid++;
+      const code = inputs[i] && typeof inputs[i].action === 'string' && !actionKeys.has(inputs[i].action)
+        ? ERROR_CODES.UNKNOWN_ACTION
+        : ERROR_CODES.BAD_FRAME;
+      sendApiError(res, 400, code, isBatch ? `inputs[${i}]: ${problem}` : problem);
+      return;
+    }
+  }
+  inputs.forEach(relayApiInput);
+  sendJson(res, 202, { ok: true, accepted: inputs.length });
+}
+
+const wss = new WebSocketServer({ noServer: true, maxPayload: Math.max(RATE_LIMIT.maxMessageBytes, ADMIN_MAX_MESSAGE_BYTES) });
+
+wss.on('connection', (ws, req) => {
+  const now = Date.now();
+  const peer = {
+    id: nextClientId++,
+    role: null,
+    address: req.socket.remoteAddress || 'unknown',
+    bucket: createTokenBucket(now),
+    drops: [],
+    lastRateErrorMs: 0,
+    connectedAt: new Date(now).toISOString(),
+  };
+  peers.set(ws, peer);
+  ws.on('message', (raw, isBinary) => {
+    if (ws.readyState !== 1) return; // already kicked; frames still in flight
+    if (!LARGE_FRAME_ROLES.has(peer.role) && raw.length > RATE_LIMIT.maxMessageBytes) {
+      dropCounters.oversize++;
+      ws.close(1009, 'message too big');
+      return;
+    }
+    const t = Date.now();
+    if (!takeToken(peer.bucket, t)) {
+      dropCounters.rateLimited++;
+      // At most one error per second — replying to every dropped frame would double the flood
+      if (t - peer.lastRateErrorMs > 1000) {
+        peer.lastRateErrorMs = t;
+        sendError(ws, ERROR_CODES.RATE_LIMITED, `slow down: max ${RATE_LIMIT.ratePerSec} messages/s`);
       }
+      recordDrop(ws, peer, t);
+      return;
     }
+    handleFrame(ws, peer, raw, isBinary);
+  });
+  ws.on('error', (err) => {
+    // ws closes the socket itself (1009) when a frame exceeds maxPayload
+    if (err && err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') dropCounters.oversize++;
+  });
+  ws.on('close', (code) => {
+    peers.delete(ws);
+    if (peer.role) logEvent('disconnect', { client: peer.id, role: peer.role, code });
+    if (peer.id === actionOwnerId) actionOwnerId = null; // the next display to publish takes over
+    if (peer.role === 'display' && countPeers('display') === 0) {
+      lastExhibitState = null;
+      broadcastToRoles(STATE_FOLLOWER_ROLES, { type: 'display_offline' });
+    }
+    if (peer.role) broadcastRoster();
   });
 });
 
 server.on('upgrade', (req, socket, head) => {
   if (req.url === '/ws' || req.url.startsWith('/ws?')) {
+    const waitMs = banRemaining(req.socket.remoteAddress || 'unknown', Date.now());
+    if (waitMs > 0) {
+      dropCounters.bannedUpgrades++;
+      socket.end(`HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${Math.ceil(waitMs / 1000)}\r\nConnection: close\r\n\r\n`);
+      return;
+    }
     wss.handleUpgrade(req, socket, head, (ws) => {
       wss.emit('connection', ws, req);
     });
@@ -108,11 +1158,25 @@ server.on('upgrade', (req, socket, head) => {
   }
 });
 
+// Flush the session log before exiting on Ctrl+C / service stop
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (sessionLog.stream) {
+      sessionLog.stream.end(() => process.exit(0));
+    } else {
+      process.exit(0);
+    }
+  });
+}
+
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Digital Ripples server http://0.0.0.0:${PORT}/`);
-  console.log(`  Display (monitor): http://<this-machine-ip>:${PORT}/  (index defaults to ?mode=display)`);
+  const port = server.address().port;
+  console.log(`Digital Ripples server http://0.0.0.0:${port}/`);
+  console.log(`  Display (monitor): http://<this-machine-ip>:${port}/  (index defaults to ?mode=display)`);
   console.log(`    or /display.html — full pond, WebSocket from tablet`);
-  console.log(`  Combined UI test: http://<this-machine-ip>:${PORT}/index.html?mode=combined`);
-  console.log(`  Tablet:           http://<this-machine-ip>:${PORT}/controller.html`);
-  console.log(`  WebSocket:        ws://<this-machine-ip>:${PORT}/ws`);
+  console.log(`  Combined UI test: http://<this-machine-ip>:${port}/index.html?mode=combined`);
+  console.log(`  Tablet:           http://<this-machine-ip>:${port}/controller.html`);
+  console.log(`  Admin console:    http://<this-machine-ip>:${port}/admin.html${ADMIN_PASSWORD ? '' : '  (disabled — set ADMIN_PASSWORD)'}`);
+  console.log(`  WebSocket:        ws://<this-machine-ip>:${port}/ws`);
+  console.log(`  Session log:      ${sessionLog.disabled ? 'disabled' : LOG_DIR}`);
 });
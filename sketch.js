@@ -4,19 +4,14 @@
 //
 // Modes (URL): index.html adds ?mode=display when mode is omitted (projector / kiosk).
 // Single-screen test with on-canvas buttons: index.html?mode=combined
+// Recorded session playback: index.html?mode=replay&log=session-YYYY-MM-DD.ndjson (see ReplayController).
 // display.html still redirects to index.html?mode=display. Tablet: controller.html (npm start — see server.mjs).
 
 // Layout (responsive: updated in setup and windowResized)
 let uiPanelHeight = 200; // Height of bottom UI panel
 let pondHeight = 880;    // Canvas height minus UI panel (initial placeholder)
 
-// Action types mapped to quadrants
-const ACTIONS = {
-    LIKE: { quadrant: 1, x: 1, y: 0, label: 'Happy' },      // +x (right)
-    DISLIKE: { quadrant: 2, x: -1, y: 0, label: 'Sad' },    // -x (left)
-    POSITIVE_COMMENT: { quadrant: 3, x: 0, y: -1, label: 'Noise' },  // +y (up)
-    NEGATIVE_COMMENT: { quadrant: 4, x: 0, y: 1, label: 'Silence' }  // -y (down)
-};
+// Action types live in the action registry (exhibit.json "actions", see EXHIBIT CONFIGURATION)
 
 // State machine states
 const STATE = {
@@ -35,19 +30,24 @@ let showDebug = true;
 let isFullscreen = false;
 let backgroundNoise = [];
 let iconBursts = [];
+/** Echo icons by image path (several actions may share one) */
 let actionIconImages = new Map();
 
 /** true when monitor shows only pond/video; controls come from controller.html over WebSocket */
 let IS_DISPLAY_MODE = false;
+/** Replays a recorded session log; uses the display layout but never joins the relay */
+let IS_REPLAY_MODE = false;
 function detectAppMode() {
     if (typeof window === 'undefined') return;
-    IS_DISPLAY_MODE = new URLSearchParams(window.location.search).get('mode') === 'display';
+    const mode = new URLSearchParams(window.location.search).get('mode');
+    IS_REPLAY_MODE = mode === 'replay';
+    IS_DISPLAY_MODE = mode === 'display' || IS_REPLAY_MODE;
 }
 detectAppMode();
 
 let displayInputSocket = null;
 
-/** p5.sound uses AudioWorklet; browsers only expose it in a secure context (https or localhost). Plain http://<LAN-ip> is not secure → skip synth audio instead of crashing. */
+/** p5.sound uses AudioWorklet; browsers only expose it in a secure context (https or localhost). Plain http://<LAN-ip> is not secure → createSoundManager() uses the plain Web Audio backend instead. */
 function canUsePSound() {
     return (
         typeof window !== 'undefined' &&
@@ -62,14 +62,12 @@ let quadrantPosition = {
     happySad: 0.0,    // -1.0 (sad) to +1.0 (happy)
     noiseSilence: 0.0  // -1.0 (silence) to +1.0 (noise)
 };
-const QUADRANT_SMOOTHING = 0.15; // How much each press moves the average (0-1)
 
 // Videos = quadrant pairs Happy/Sad × Noise/Silence; each uses three files:
 // assets/videos/Happy_Noise_1.mp4 … Happy_Noise_3.mp4 (and similarly for other quadrants).
 const QUADRANT_VIDEO_IDS = ['Happy_Noise', 'Happy_Silence', 'Sad_Noise', 'Sad_Silence'];
 const DEFAULT_QUADRANT_VIDEO_ID = 'Happy_Noise';
 const QUADRANT_VARIANT_COUNT = 3;
-const VARIANT_DWELL_MS = 11000;
 const VARIANT_INNER_FADE_MS = 950;
 /** Bump after replacing mp4 bundles so caches pick up new decoded media (server strips ?… when reading from disk). */
 const VIDEO_ASSETS_VERSION = '20260518-multi-v2';
@@ -108,8 +106,430 @@ function pondGrainRefreshSkip() {
     return POND_GRAIN_FRAME_SKIP;
 }
 
-/** Avoid unbounded ripple overlap cost when inputs spam */
-const MAX_RIPPLES = 36;
+// ============================================================================
+// EXHIBIT CONFIGURATION (exhibit.json — per-venue tuning, validated against EXHIBIT_SCHEMA)
+// ============================================================================
+
+/** ripple.style → Ripple render method */
+const RIPPLE_STYLES = {
+    rings: 'renderRings',       // clean concentric circles with bright edge highlights
+    droop: 'renderDroop',       // heavier, slower rings with a drooping distortion
+    sparkle: 'renderSparkle',   // micro-ripples and sparkly interference
+    absorb: 'renderAbsorb',     // minimal ring that damps nearby ripples
+};
+/**
+ * sound.recipe → voice layers for SoundManager's pools. A layer is one source (`wave` oscillator type
+ * or `noise` colour) with optional filter, a level relative to the action volume, an ADSR and an
+ * optional attack delay (s).
+ */
+const SOUND_RECIPES = {
+    bell: [                     // bright bell/pluck with an octave harmonic
+        { wave: 'sine', freq: 440, level: 1, adsr: [0.01, 0.1, 0.3, 0.5] },
+        { wave: 'sine', freq: 880, level: 0.5, adsr: [0.01, 0.05, 0.2, 0.3], delay: 0.01 },
+    ],
+    thump: [                    // lower, dull thump
+        { wave: 'sawtooth', freq: 110, level: 1, adsr: [0.05, 0.2, 0.4, 0.8] },
+    ],
+    burst: [                    // band-passed noise burst
+        { noise: 'white', level: 1, filter: { type: 'bandpass', freq: 800, res: 10 }, adsr: [0.01, 0.05, 0.1, 0.2] },
+    ],
+    pulse: [                    // very soft low-passed pulse
+        { wave: 'sine', freq: 150, level: 1, filter: { type: 'lowpass', freq: 200 }, adsr: [0.1, 0.2, 0.3, 0.5] },
+    ],
+};
+/** glyph → UIManager drawing for the on-canvas buttons (combined mode); 'icon' draws the echo icon image */
+const BUTTON_GLYPHS = {
+    thumbUp: 'drawThumbUp',
+    thumbDown: 'drawThumbDown',
+    smileChat: 'drawSmileChat',
+    blockedChat: 'drawBlockedChat',
+    icon: null,
+};
+/** Keys the sketch already uses (debug, fullscreen, replay) — not available as action bindings */
+const RESERVED_ACTION_KEYS = new Set(['d', 'f', ' ', '[', ']']);
+const MAX_ACTIONS = 12;
+
+/**
+ * Leaf = { default, min, max } for numbers, { default, color: true } for [r, g, b, a],
+ * { default, vector: true } for [x, y] in -1..1, { default, boolean: true },
+ * or { default, string: true, oneOf?, maxLength? }.
+ */
+function rippleParamsSchema(style, maxRadius, amplitude, damping, speed, lifespan, color) {
+    return {
+        style: { default: style, string: true, oneOf: Object.keys(RIPPLE_STYLES) },
+        maxRadius: { default: maxRadius, min: 10, max: 2000 },     // px at 800px-wide reference, scaled down on small screens
+        amplitude: { default: amplitude, min: 0, max: 3 },
+        damping: { default: damping, min: 0.5, max: 1 },           // per 10px of radius
+        speed: { default: speed, min: 0.1, max: 20 },
+        lifespan: { default: lifespan, min: 200, max: 30000 },     // ms
+        color: { default: color, color: true },
+    };
+}
+
+/**
+ * One action in the registry. vector is [happySad, noiseSilence]: where presses pull the quadrant average and
+ * which half of the pond ripples spawn in. Defaults here are for actions an exhibit adds; the built-in four
+ * override them in BUILTIN_ACTIONS.
+ */
+function actionSchema({
+    name = '', label = '', vector = [0, 0], weight = 0.15, keyBinding = '', icon = '', button = '',
+    accent = [180, 190, 220], glyph = 'icon', ripple = ['rings', 530, 1.15, 0.956, 4.25, 4100, [180, 190, 220, 200]],
+    recipe = 'bell', volume = 0.2,
+} = {}) {
+    return {
+        name: { default: name, string: true, maxLength: 40 },       // controller / admin button text ('' → key)
+        label: { default: label, string: true, maxLength: 40 },     // mood word on the on-canvas button ('' → name)
+        vector: { default: vector, vector: true },
+        weight: { default: weight, min: 0, max: 1.5 },              // activity meter added per press
+        keyBinding: { default: keyBinding, string: true, maxLength: 1 },
+        icon: { default: icon, string: true, maxLength: 200 },      // echo burst image ('' → rings only)
+        button: { default: button, string: true, maxLength: 200 }, // controller.html button image ('' → text tile)
+        accent: { default: accent, color: true },                   // echo ring colour
+        glyph: { default: glyph, string: true, oneOf: Object.keys(BUTTON_GLYPHS) },
+        ripple: rippleParamsSchema(...ripple),
+        sound: {
+            recipe: { default: recipe, string: true, oneOf: Object.keys(SOUND_RECIPES) },
+            volume: { default: volume, min: 0, max: 1 },            // peak envelope level, before masterVolume
+        },
+    };
+}
+
+const ACTION_SCHEMA = actionSchema();
+
+const BUILTIN_ACTIONS = {
+    LIKE: schemaDefaults(actionSchema({
+        name: 'Like', label: 'Happy', vector: [1, 0], weight: 0.15, keyBinding: '1',
+        icon: 'assets/icons/Like_Icon.png', button: 'assets/icons/Like.png', accent: [100, 200, 255], glyph: 'thumbUp',
+        ripple: ['rings', 530, 1.15, 0.956, 4.25, 4100, [100, 200, 255, 210]],             // Bright blue
+        recipe: 'bell', volume: 0.3,
+    })),
+    DISLIKE: schemaDefaults(actionSchema({
+        name: 'Dislike', label: 'Sad', vector: [-1, 0], weight: 0.18, keyBinding: '2',
+        icon: 'assets/icons/Dislike_Icon.png', button: 'assets/icons/Dislike.png', accent: [150, 100, 150], glyph: 'thumbDown',
+        ripple: ['droop', 470, 0.96, 0.928, 2.28, 5300, [150, 100, 150, 188]],             // Muted purple
+        recipe: 'thump', volume: 0.25,
+    })),
+    POSITIVE_COMMENT: schemaDefaults(actionSchema({
+        name: 'Positive comment', label: 'Noise', vector: [0, 1], weight: 0.20, keyBinding: '3',
+        icon: 'assets/icons/Positive_Comment_Icon.png', button: 'assets/icons/Positive_Comment.png', accent: [255, 220, 100], glyph: 'smileChat',
+        ripple: ['sparkle', 415, 0.74, 0.983, 4.45, 3300, [255, 220, 100, 168]],           // Golden yellow
+        recipe: 'burst', volume: 0.2,
+    })),
+    NEGATIVE_COMMENT: schemaDefaults(actionSchema({
+        name: 'Negative comment', label: 'Silence', vector: [0, -1], weight: 0.12, keyBinding: '4',
+        icon: 'assets/icons/Negative_Comment_Icon.png', button: 'assets/icons/Negative_Comment.png', accent: [90, 95, 140], glyph: 'blockedChat',
+        ripple: ['absorb', 345, 0.54, 0.992, 2.82, 4500, [50, 50, 80, 145]],               // Dark muted blue
+        recipe: 'pulse', volume: 0.1,
+    })),
+};
+
+/** One scheduled resting mood (exhibitConfig.quadrant.schedule entries) */
+const QUADRANT_MOOD_SCHEMA = {
+    happySad: { default: 0, min: -1, max: 1 },
+    noiseSilence: { default: 0, min: -1, max: 1 },
+};
+
+const EXHIBIT_SCHEMA = {
+    /** Map node: an exhibit lists its own actions (replacing the built-in four); key order = button order */
+    actions: {
+        mapOf: ACTION_SCHEMA,
+        defaults: BUILTIN_ACTIONS,
+        keyPattern: /^[A-Z][A-Z0-9_]{0,31}$/,
+        keyHint: 'name must be UPPER_SNAKE_CASE',
+        maxEntries: MAX_ACTIONS,
+    },
+    activity: {
+        overloadThreshold: { default: 1.0, min: 0.1, max: 1.5 },
+        decayHalfLifeMs: { default: 6000, min: 250, max: 600000 }, // meter halves this often while CALM/ACTIVE
+        blackoutFadeMs: { default: 2000, min: 0, max: 20000 },
+        blackoutHoldMinMs: { default: 5000, min: 0, max: 120000 },  // black hold after the fade is drawn
+        blackoutHoldMaxMs: { default: 10000, min: 0, max: 120000 }, // from [min, max] on every OVERLOAD
+        recoverFadeMs: { default: 3000, min: 0, max: 30000 },
+        recoverMeter: { default: 0.3, min: 0, max: 1 },            // meter after RECOVER
+        adaptive: {                                                // retune threshold/weights to the crowd (ActivityManager.adapt)
+            enabled: { default: false, boolean: true },
+            targetOverloadsPerHour: { default: 6, min: 0.5, max: 120 },
+            windowMs: { default: 1800000, min: 60000, max: 7200000 }, // rolling window for input and overload rates
+            minInputsPerMinute: { default: 2, min: 0, max: 600 },     // below this the pond is "empty": hold the tuning
+            thresholdMin: { default: 0.7, min: 0.1, max: 1.5 },
+            thresholdMax: { default: 1.4, min: 0.1, max: 1.5 },
+            weightScaleMin: { default: 0.5, min: 0.05, max: 5 },
+            weightScaleMax: { default: 1.5, min: 0.05, max: 5 },
+        },
+    },
+    ripples: {
+        maxRipples: { default: 36, min: 1, max: 200, integer: true }, // avoid unbounded overlap cost when inputs spam
+        interference: { default: true, boolean: true },            // bright/dark nodes where two wavefronts cross
+        secondaryRipples: { default: false, boolean: true },       // strong crossings spawn a small echo ripple
+        secondaryThreshold: { default: 1.2, min: 0.1, max: 6 },    // summed wavefront amplitude that counts as strong
+    },
+    quadrant: {
+        smoothing: { default: 0.15, min: 0.01, max: 1 },           // how much each press moves the average
+        driftHalfLifeMs: { default: 300000, min: 0, max: 86400000 }, // halve the distance to the resting mood this often (0 = stay put)
+        rest: {                                                    // resting mood when no schedule entry applies
+            happySad: { default: 0, min: -1, max: 1 },
+            noiseSilence: { default: 0, min: -1, max: 1 },
+        },
+        schedule: {                                                // "HH:MM" (local) → resting mood from then on
+            mapOf: QUADRANT_MOOD_SCHEMA,
+            defaults: {},
+            allowEmpty: true,
+            keyPattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+            keyHint: 'must be a 24-hour "HH:MM" time',
+            maxEntries: 48,
+        },
+        trailLength: { default: 40, min: 0, max: 200, integer: true }, // past positions drawn on the indicator
+        trailIntervalMs: { default: 2000, min: 100, max: 600000 },
+    },
+    video: {
+        variantDwellMs: { default: 11000, min: 1000, max: 600000 },
+        blendMode: { default: 'crossfade', string: true, oneOf: ['crossfade', 'bilinear'] }, // bilinear: all four quadrants weighted by position
+        maxDecodingClips: { default: 5, min: 1, max: 12, integer: true }, // bilinear: clips playing at once (a variant fade takes two)
+        minBlendWeight: { default: 0.05, min: 0, max: 0.5 },      // bilinear: lighter quadrants are dropped and paused
+    },
+    sound: {
+        masterVolume: { default: 0.5, min: 0, max: 1 },
+        ambientVolume: { default: 0.05, min: 0, max: 0.5 },        // before masterVolume
+        speakers: { default: 'stereo', string: true, oneOf: ['stereo', 'quad'] }, // read when audio starts
+        reverb: { default: 0.4, min: 0, max: 1 },                  // echo/reverb send for the largest ripples
+    },
+    waveField: {
+        enabled: { default: false, boolean: true },               // CPU heightfield that refracts the video (WaveField)
+        damping: { default: 0.985, min: 0.9, max: 0.999 },         // height kept per step
+        stepsPerSecond: { default: 45, min: 10, max: 120, integer: true }, // waves travel ~1 cell per step
+        impulse: { default: 1, min: 0, max: 5 },                   // height dropped per ripple (× ripple amplitude)
+        refraction: { default: 14, min: 0, max: 60 },              // px of video offset per unit of slope
+    },
+};
+
+function isSchemaLeaf(node) {
+    return Object.prototype.hasOwnProperty.call(node, 'default');
+}
+
+function isSchemaMap(node) {
+    return Object.prototype.hasOwnProperty.call(node, 'mapOf');
+}
+
+function cloneConfigValue(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+function schemaDefaults(schema) {
+    const out = {};
+    for (const [k, node] of Object.entries(schema)) {
+        if (isSchemaMap(node)) out[k] = cloneConfigValue(node.defaults);
+        else out[k] = isSchemaLeaf(node) ? cloneConfigValue(node.default) : schemaDefaults(node);
+    }
+    return out;
+}
+
+/** Returns an error string for a bad leaf value, or null */
+function checkSchemaLeaf(node, value) {
+    if (node.color) {
+        const ok = Array.isArray(value) && (value.length === 3 || value.length === 4) &&
+            value.every((c) => typeof c === 'number' && c >= 0 && c <= 255);
+        return ok ? null : 'must be [r, g, b] or [r, g, b, a] with 0–255 channels';
+    }
+    if (node.vector) {
+        const ok = Array.isArray(value) && value.length === 2 &&
+            value.every((c) => typeof c === 'number' && c >= -1 && c <= 1);
+        return ok ? null : 'must be [x, y] with both between -1 and 1';
+    }
+    if (node.boolean) return typeof value === 'boolean' ? null : 'must be true or false';
+    if (node.string) {
+        if (typeof value !== 'string') return 'must be a string';
+        if (node.oneOf && !node.oneOf.includes(value)) return `must be one of: ${node.oneOf.join(', ')}`;
+        if (node.maxLength !== undefined && value.length > node.maxLength) return `must be at most ${node.maxLength} characters`;
+        return null;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+    if (node.integer && !Number.isInteger(value)) return 'must be a whole number';
+    if (value < node.min || value > node.max) return `must be between ${node.min} and ${node.max}`;
+    return null;
+}
+
+/** Entries keep the built-in defaults of a same-named action; new keys start from the map's entry schema */
+function validateSchemaMap(raw, node, path, errors) {
+    if (raw === undefined) return cloneConfigValue(node.defaults);
+    const isObject = raw && typeof raw === 'object' && !Array.isArray(raw);
+    if (isObject && node.allowEmpty && !Object.keys(raw).length) return {};
+    if (!isObject || !Object.keys(raw).length) {
+        errors.push(node.allowEmpty
+            ? `${path}: must be an object (ignored)`
+            : `${path}: must be an object with at least one entry; using the built-in set`);
+        return cloneConfigValue(node.defaults);
+    }
+    const out = {};
+    for (const [key, entry] of Object.entries(raw)) {
+        if (!node.keyPattern.test(key)) {
+            errors.push(`${path}.${key}: ${node.keyHint} (ignored)`);
+            continue;
+        }
+        if (Object.keys(out).length >= node.maxEntries) {
+            errors.push(`${path}.${key}: at most ${node.maxEntries} entries (ignored)`);
+            continue;
+        }
+        const defaults = Object.prototype.hasOwnProperty.call(node.defaults, key) ? node.defaults[key] : schemaDefaults(node.mapOf);
+        out[key] = validateExhibitConfig(entry, node.mapOf, `${path}.${key}`, errors, defaults).config;
+    }
+    return Object.keys(out).length ? out : cloneConfigValue(node.defaults);
+}
+
+/**
+ * Merge raw (parsed exhibit.json) over the schema defaults. Bad or unknown values are reported and the
+ * default is kept for that field only, so one typo never takes the whole exhibit down.
+ */
+function validateExhibitConfig(raw, schema = EXHIBIT_SCHEMA, pathPrefix = '', errors = [], defaults = schemaDefaults(schema)) {
+    const out = {};
+    const given = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    if (raw !== undefined && given !== raw) errors.push(`${pathPrefix || '(root)'}: must be an object`);
+    for (const [k, node] of Object.entries(schema)) {
+        const p = pathPrefix ? `${pathPrefix}.${k}` : k;
+        if (isSchemaMap(node)) {
+            out[k] = validateSchemaMap(given[k], node, p, errors);
+            continue;
+        }
+        if (!isSchemaLeaf(node)) {
+            out[k] = validateExhibitConfig(given[k], node, p, errors, defaults[k]).config;
+            continue;
+        }
+        const def = cloneConfigValue(defaults[k]);
+        if (given[k] === undefined) {
+            out[k] = def;
+            continue;
+        }
+        const problem = checkSchemaLeaf(node, given[k]);
+        if (problem) {
+            errors.push(`${p}: ${problem} (got ${JSON.stringify(given[k])}); using ${JSON.stringify(def)}`);
+            out[k] = def;
+        } else {
+            out[k] = node.color && given[k].length === 3 ? [...given[k], 255] : cloneConfigValue(given[k]);
+        }
+    }
+    for (const k of Object.keys(given)) {
+        if (!Object.prototype.hasOwnProperty.call(schema, k)) {
+            errors.push(`${pathPrefix ? `${pathPrefix}.${k}` : k}: unknown setting (ignored)`);
+        }
+    }
+    return { config: out, errors };
+}
+
+// ----------------------------------------------------------------------------
+// Action registry — built from exhibitConfig.actions; every input path looks actions up here
+// ----------------------------------------------------------------------------
+
+/** key → frozen action { key, name, label, vector, weight, keyBinding, icon, button, accent, glyph, ripple, sound } */
+let actionRegistry = new Map();
+
+/** Fill in display names and drop key bindings that clash with the sketch's own keys or an earlier action */
+function buildActionRegistry(actionsConfig, errors = []) {
+    const registry = new Map();
+    const boundKeys = new Set();
+    for (const [key, cfg] of Object.entries(actionsConfig)) {
+        const name = cfg.name || key;
+        let keyBinding = cfg.keyBinding.toLowerCase();
+        if (keyBinding && (RESERVED_ACTION_KEYS.has(keyBinding) || boundKeys.has(keyBinding))) {
+            errors.push(`actions.${key}.keyBinding: '${cfg.keyBinding}' is already in use (binding dropped)`);
+            keyBinding = '';
+        }
+        if (keyBinding) boundKeys.add(keyBinding);
+        registry.set(key, Object.freeze({ ...cfg, key, name, label: cfg.label || name, keyBinding }));
+    }
+    return registry;
+}
+
+function getAction(key) {
+    return typeof key === 'string' ? actionRegistry.get(key) || null : null;
+}
+
+function actionForKeyBinding(k) {
+    if (typeof k !== 'string' || !k) return null;
+    const lower = k.toLowerCase();
+    for (const action of actionRegistry.values()) {
+        if (action.keyBinding && action.keyBinding === lower) return action;
+    }
+    return null;
+}
+
+/** Load echo icons the first time an action references them (built-in ones come from preload) */
+function ensureActionIcons() {
+    if (typeof loadImage !== 'function') return;
+    for (const action of actionRegistry.values()) {
+        if (action.icon && !actionIconImages.has(action.icon)) {
+            actionIconImages.set(action.icon, loadImage(action.icon, undefined, () => {
+                if (typeof console !== 'undefined') console.warn(`Digital Ripples: icon ${action.icon} for ${action.key} failed to load`);
+            }));
+        }
+    }
+}
+
+/** What controllers and the admin console need to draw their button grids (sent to the relay) */
+function actionSummaries() {
+    return [...actionRegistry.values()].map((a) => ({
+        key: a.key,
+        name: a.name,
+        label: a.label,
+        button: a.button,
+        accent: a.accent.slice(0, 3),
+    }));
+}
+
+/** Active tuning; starts at schema defaults so the sketch runs even when exhibit.json is missing */
+let exhibitConfig = schemaDefaults(EXHIBIT_SCHEMA);
+actionRegistry = buildActionRegistry(exhibitConfig.actions);
+/** Problems from the last exhibit.json load (shown on the debug overlay) */
+let exhibitConfigErrors = [];
+
+/** Config loaded at startup or pushed by the relay mid-show; applied at the top of the next draw() so a frame never mixes two tunings */
+let pendingExhibitConfig = null;
+/** Once the relay has pushed a config, the (possibly older) startup fetch must not overwrite it */
+let exhibitConfigFromRelay = false;
+
+function applyExhibitConfig(config) {
+    exhibitConfig = config;
+    actionRegistry = buildActionRegistry(config.actions);
+    ensureActionIcons();
+    if (uiManager) uiManager.initButtons();
+    sendRelayMessage(displayInputSocket, { type: 'actions', actions: actionSummaries() });
+    if (activityManager) activityManager.applyConfig(config.activity);
+    if (uiManager) uiManager.applyConfig(config.quadrant);
+    if (soundManager) soundManager.applyConfig(config.sound);
+    if (waveField && !config.waveField.enabled) waveField.reset();
+}
+
+/** Validate a raw config (file or relay push) and report problems to the console and the admin console */
+function acceptExhibitConfig(raw, origin) {
+    const { config, errors } = validateExhibitConfig(raw);
+    buildActionRegistry(config.actions, errors);
+    exhibitConfigErrors = errors;
+    if (errors.length && typeof console !== 'undefined') {
+        console.error(`Digital Ripples: ${origin} has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`);
+    }
+    sendRelayMessage(displayInputSocket, { type: 'config_status', errors });
+    return config;
+}
+
+/**
+ * Fetch exhibit.json from the relay (or any static server). Missing file / file:// / bad JSON → defaults.
+ * Async on purpose: p5's loadJSON never finishes preload() when the request fails.
+ * The config is applied at the start of the next draw(), like a relay push, never in the middle of a frame.
+ */
+function loadExhibitConfig() {
+    if (typeof fetch !== 'function') return;
+    fetch('exhibit.json', { cache: 'no-store' })
+        .then((r) => {
+            if (!r.ok) throw new Error(`HTTP ${r.status}`);
+            return r.json();
+        })
+        // Only fetch/parse failures mean "defaults"; a bug while validating must surface, not hide behind that message
+        .then((raw) => {
+            if (!exhibitConfigFromRelay) pendingExhibitConfig = acceptExhibitConfig(raw, 'exhibit.json');
+        }, (e) => {
+            if (typeof console !== 'undefined') {
+                console.info(`Digital Ripples: exhibit.json not loaded (${e.message}); using built-in defaults.`);
+            }
+        });
+}
 
 /** p5.Video.play() rejects with AbortError when pause interrupts; catch so devtools stays quiet. */
 function swallowPlayAbort(p) {
@@ -142,6 +562,10 @@ class VideoBackgroundManager {
         this.variantStableSinceMs = 0;
         this.quadrantFadeOutVariantIdx = 0;
 
+        /** Bilinear blend mode: this frame's [{ gid, weight }] (weights sum to 1) and per-quadrant variant cycling */
+        this.blendLayers = [];
+        this.blendVariants = {};
+
         /** Downscaled intermediate blit — fewer pixels sampled per frame on huge canvases */
         this._videoScratch = null;
         this._scratchIw = 0;
@@ -192,6 +616,14 @@ class VideoBackgroundManager {
 
     _playingSlots() {
         const rows = [];
+        if (this.isBlendMode()) {
+            for (const { gid } of this.blendLayers) {
+                const st = this.blendVariantState(gid);
+                rows.push([gid, st.idx]);
+                if (st.nextIdx !== null) rows.push([gid, st.nextIdx]);
+            }
+            return rows;
+        }
         if (this.backgroundId !== null) {
             rows.push([this.backgroundId, this.quadrantFadeOutVariantIdx]);
             rows.push([this.foregroundId, this.variantIdx]);
@@ -255,7 +687,7 @@ class VideoBackgroundManager {
     }
 
     updateVariantCycle() {
-        if (!this.playbackStarted || this.backgroundId !== null) return;
+        if (!this.playbackStarted || this.backgroundId !== null || this.isBlendMode()) return;
 
         if (this.variantInnerB !== null) {
             const tt = (millis() - this.variantInnerFadeStartMs) / VARIANT_INNER_FADE_MS;
@@ -274,7 +706,7 @@ class VideoBackgroundManager {
             return;
         }
 
-        if (millis() - this.variantStableSinceMs >= VARIANT_DWELL_MS) {
+        if (millis() - this.variantStableSinceMs >= exhibitConfig.video.variantDwellMs) {
             const next = (this.variantIdx + 1) % QUADRANT_VARIANT_COUNT;
             this.variantInnerB = next;
             this.variantInnerFadeStartMs = millis();
@@ -324,6 +756,17 @@ class VideoBackgroundManager {
         this.syncClipPauseStates();
     }
 
+    /** Replay rewinds millis(); restart fade/dwell timers from nowMs so nothing waits on a time in the "future" */
+    rebaseClock(nowMs) {
+        this.fadeStartMs = nowMs;
+        this.variantInnerFadeStartMs = nowMs;
+        this.variantStableSinceMs = nowMs;
+        for (const st of Object.values(this.blendVariants)) {
+            st.fadeStartMs = nowMs;
+            st.stableSinceMs = nowMs;
+        }
+    }
+
     maintainKioskAutoplay() {
         if (!this.playbackStarted) return;
         this.syncClipPauseStates();
@@ -341,6 +784,11 @@ class VideoBackgroundManager {
         return id;
     }
 
+    /** Drift has settled the pond inside the dead zone: show the default clip rather than hold the last quadrant's */
+    settleToRest() {
+        this.lastStableId = DEFAULT_QUADRANT_VIDEO_ID;
+    }
+
     snapCrossfadeComplete() {
         if (this.backgroundId !== null) {
             const outClip = this.getClip(this.backgroundId, this.quadrantFadeOutVariantIdx);
@@ -385,6 +833,10 @@ class VideoBackgroundManager {
     }
 
     updateFromQuadrant(hs, ns) {
+        if (this.isBlendMode()) {
+            this.updateBlend(hs, ns);
+            return;
+        }
         const target = this.pickTargetVideoId(hs, ns);
         if (target !== this.foregroundId) {
             if (this.backgroundId !== null) {
@@ -477,7 +929,119 @@ class VideoBackgroundManager {
         pop();
     }
 
+    isBlendMode() {
+        return exhibitConfig.video.blendMode === 'bilinear';
+    }
+
+    /** Bilinear weights of the four quadrant clips at (hs, ns); they sum to 1 */
+    quadrantWeights(hs, ns) {
+        const u = constrain((hs + 1) / 2, 0, 1); // 1 = Happy
+        const v = constrain((ns + 1) / 2, 0, 1); // 1 = Noise
+        return {
+            Happy_Noise: u * v,
+            Happy_Silence: u * (1 - v),
+            Sad_Noise: (1 - u) * v,
+            Sad_Silence: (1 - u) * (1 - v),
+        };
+    }
+
+    blendVariantState(gid) {
+        if (!this.blendVariants[gid]) {
+            this.blendVariants[gid] = { idx: 0, nextIdx: null, fadeStartMs: 0, stableSinceMs: millis() };
+        }
+        return this.blendVariants[gid];
+    }
+
+    /** Variant fade done (or cut short): the incoming clip takes over and the outgoing one is paused */
+    finishBlendVariantFade(gid, st) {
+        const oldClip = this.getClip(gid, st.idx);
+        if (oldClip) {
+            try {
+                oldClip.pause();
+            } catch (e) { /* ignore */ }
+        }
+        st.idx = st.nextIdx;
+        st.nextIdx = null;
+        st.stableSinceMs = millis();
+    }
+
+    /**
+     * Bilinear mode, per frame: rank quadrants by weight and keep the heaviest that fit maxDecodingClips
+     * (a quadrant mid variant-fade costs two). Dropped quadrants pause via syncClipPauseStates; the kept
+     * weights are renormalised. Each quadrant cycles its own variants, but only when a decode slot is spare.
+     */
+    updateBlend(hs, ns) {
+        const now = millis();
+        const { maxDecodingClips, minBlendWeight, variantDwellMs } = exhibitConfig.video;
+        const weights = this.quadrantWeights(hs, ns);
+        const ranked = QUADRANT_VIDEO_IDS
+            .map((gid) => ({ gid, weight: weights[gid] }))
+            .sort((a, b) => b.weight - a.weight);
+
+        const layers = [];
+        let used = 0;
+        for (const layer of ranked) {
+            if (layers.length && layer.weight < minBlendWeight) break;
+            const st = this.blendVariantState(layer.gid);
+            if (st.nextIdx !== null && now - st.fadeStartMs >= VARIANT_INNER_FADE_MS) this.finishBlendVariantFade(layer.gid, st);
+            if (st.nextIdx !== null && used + 2 > maxDecodingClips) this.finishBlendVariantFade(layer.gid, st);
+            const cost = st.nextIdx !== null ? 2 : 1;
+            if (used + cost > maxDecodingClips) break;
+            used += cost;
+            layers.push(layer);
+        }
+        const total = layers.reduce((sum, l) => sum + l.weight, 0) || 1;
+        for (const layer of layers) layer.weight /= total;
+        this.blendLayers = layers;
+
+        if (!this.playbackStarted) return;
+        for (const { gid } of layers) {
+            const st = this.blendVariantState(gid);
+            if (used >= maxDecodingClips) break;
+            if (st.nextIdx !== null || now - st.stableSinceMs < variantDwellMs) continue;
+            st.nextIdx = (st.idx + 1) % QUADRANT_VARIANT_COUNT;
+            st.fadeStartMs = now;
+            used++;
+            const vin = this.getClip(gid, st.nextIdx);
+            if (vin) {
+                try {
+                    vin.time(0);
+                } catch (e) { /* ignore */ }
+                vin.loop();
+                swallowPlayAbort(vin.play());
+            }
+        }
+    }
+
+    /**
+     * Proportional alpha with plain "over" compositing: drawing layer k at w_k / (w_1 + … + w_k)
+     * leaves every layer contributing exactly its own weight (the first is drawn opaque).
+     */
+    renderBlend() {
+        const parts = [];
+        for (const { gid, weight } of this.blendLayers) {
+            const st = this.blendVariantState(gid);
+            if (st.nextIdx === null) {
+                parts.push([this.getClip(gid, st.idx), weight]);
+                continue;
+            }
+            const e = this._easeCrossfade(constrain((millis() - st.fadeStartMs) / VARIANT_INNER_FADE_MS, 0, 1));
+            parts.push([this.getClip(gid, st.idx), weight * (1 - e)]);
+            parts.push([this.getClip(gid, st.nextIdx), weight * e]);
+        }
+        let acc = 0;
+        for (const [clip, w] of parts) {
+            if (w <= 0) continue;
+            acc += w;
+            this.drawVideoCover(clip, 255 * (w / acc));
+        }
+    }
+
     render() {
+        if (this.isBlendMode()) {
+            this.renderBlend();
+            return;
+        }
         const tQ = this.getFadeT();
         const eQ = this._easeCrossfade(tQ);
 
@@ -503,6 +1067,168 @@ class VideoBackgroundManager {
 
 let videoBackgroundManager;
 
+// ============================================================================
+// WAVE FIELD (optional CPU heightfield: ripples disturb it, it refracts the video under the pond)
+// ============================================================================
+
+/** Coarser than the grain grid (every sloped cell costs one drawImage) and scaled up the same way on big canvases */
+function waveFieldGridDims() {
+    const px = pondPixelsApprox();
+    let cellPx = 10;
+    if (px > 3000000) cellPx = 24;
+    else if (px > 2000000) cellPx = 20;
+    else if (px > 1200000) cellPx = 16;
+    else if (px > 700000) cellPx = 12;
+    return {
+        gw: max(24, ceil(width / cellPx)),
+        gh: max(16, ceil(pondHeight / cellPx)),
+    };
+}
+
+/** Catch-up cap so a stalled tab does not spend seconds stepping the field */
+const WAVE_FIELD_MAX_STEPS_PER_FRAME = 4;
+/** Cells flatter than this are left as drawn (no copy) */
+const WAVE_FIELD_MIN_SLOPE = 0.02;
+/** Once every cell is below this no slope reaches WAVE_FIELD_MIN_SLOPE; the field rests until the next disturbance */
+const WAVE_FIELD_REST_HEIGHT = 0.01;
+
+class WaveField {
+    constructor() {
+        this.gw = 0;
+        this.gh = 0;
+        this.cur = null;
+        this.prev = null;
+        this.lastUpdateMs = null;
+        this.accumMs = 0;
+        this.active = false;
+        this.snapshot = null;
+    }
+    
+    /** (Re)allocate when the pond size changes; the water goes flat */
+    ensureGrid() {
+        const { gw, gh } = waveFieldGridDims();
+        if (gw === this.gw && gh === this.gh) return;
+        this.gw = gw;
+        this.gh = gh;
+        this.cur = new Float32Array(gw * gh);
+        this.prev = new Float32Array(gw * gh);
+        this.active = false;
+    }
+    
+    reset() {
+        this.gw = 0;
+        this.gh = 0;
+        this.lastUpdateMs = null;
+        this.accumMs = 0;
+        this.active = false;
+    }
+    
+    /** Raise a smooth bump where the ripple spawned; the wave equation turns it into an expanding ring */
+    disturb(ripple) {
+        this.ensureGrid();
+        const cellW = width / this.gw;
+        const cellH = pondHeight / this.gh;
+        const ci = ripple.x / cellW;
+        const cj = ripple.y / cellH;
+        const r = constrain(ripple.maxRadius / (cellW * 12), 1.5, 4); // bigger ripples, wider bump
+        const height = exhibitConfig.waveField.impulse * ripple.amplitude;
+        for (let j = max(1, floor(cj - r)); j <= min(this.gh - 2, ceil(cj + r)); j++) {
+            for (let i = max(1, floor(ci - r)); i <= min(this.gw - 2, ceil(ci + r)); i++) {
+                const d = Math.hypot(i - ci, j - cj) / r;
+                if (d < 1) this.cur[j * this.gw + i] += height * (0.5 + 0.5 * cos(d * PI));
+            }
+        }
+        this.active = true;
+    }
+    
+    /** Advance in fixed steps (exhibit.json waveField.stepsPerSecond) up to nowMs */
+    update(nowMs) {
+        this.ensureGrid();
+        const stepMs = 1000 / exhibitConfig.waveField.stepsPerSecond;
+        if (this.lastUpdateMs === null || nowMs < this.lastUpdateMs) this.lastUpdateMs = nowMs;
+        this.accumMs = min(this.accumMs + nowMs - this.lastUpdateMs, stepMs * WAVE_FIELD_MAX_STEPS_PER_FRAME);
+        this.lastUpdateMs = nowMs;
+        if (!this.active) {
+            this.accumMs = 0;
+            return;
+        }
+        while (this.accumMs >= stepMs && this.active) {
+            this.accumMs -= stepMs;
+            this.step();
+        }
+    }
+    
+    /** One step of the discrete 2D wave equation; border cells stay at rest */
+    step() {
+        const gw = this.gw;
+        const cur = this.cur;
+        const next = this.prev; // the older buffer is overwritten with the new heights
+        const damping = exhibitConfig.waveField.damping;
+        let peak = 0;
+        for (let j = 1; j < this.gh - 1; j++) {
+            let k = j * gw + 1;
+            for (let i = 1; i < gw - 1; i++, k++) {
+                const h = ((cur[k - 1] + cur[k + 1] + cur[k - gw] + cur[k + gw]) * 0.5 - next[k]) * damping;
+                next[k] = h;
+                const a = h < 0 ? -h : h;
+                if (a > peak) peak = a;
+            }
+        }
+        this.prev = cur;
+        this.cur = next;
+        if (peak < WAVE_FIELD_REST_HEIGHT) {
+            this.cur.fill(0);
+            this.prev.fill(0);
+            this.active = false;
+        }
+    }
+    
+    /** Redraw the pond through the field: each sloped cell copies the frame from a slope-offset spot */
+    refract() {
+        if (!this.active || this.gw === 0) return;
+        const w = width;
+        const h = pondHeight;
+        if (!this.snapshot || this.snapshot.width !== w || this.snapshot.height !== h) {
+            this.snapshot = createGraphics(w, h);
+            this.snapshot.pixelDensity(1);
+        }
+        const src = this.snapshot.elt;
+        const snap = this.snapshot.drawingContext;
+        snap.clearRect(0, 0, w, h);
+        snap.drawImage(drawingContext.canvas, 0, 0, w, h, 0, 0, w, h);
+        
+        const ctx = drawingContext;
+        const gw = this.gw;
+        const cur = this.cur;
+        const cellW = w / gw;
+        const cellH = h / this.gh;
+        const strength = exhibitConfig.waveField.refraction;
+        ctx.save();
+        for (let j = 1; j < this.gh - 1; j++) {
+            for (let i = 1; i < gw - 1; i++) {
+                const k = j * gw + i;
+                const sx = cur[k + 1] - cur[k - 1];
+                const sy = cur[k + gw] - cur[k - gw];
+                if (abs(sx) + abs(sy) < WAVE_FIELD_MIN_SLOPE) continue;
+                const x = i * cellW;
+                const y = j * cellH;
+                const srcX = constrain(x + sx * strength, 0, w - cellW);
+                const srcY = constrain(y + sy * strength, 0, h - cellH);
+                ctx.drawImage(src, srcX, srcY, cellW, cellH, x, y, cellW + 1, cellH + 1); // +1 hides seams
+                // Slopes facing the top-left catch a faint highlight
+                const light = -(sx + sy) * 0.5;
+                if (light > 0.02) {
+                    ctx.fillStyle = `rgba(220, 235, 255, ${min(0.25, light * 0.6)})`;
+                    ctx.fillRect(x, y, cellW + 1, cellH + 1);
+                }
+            }
+        }
+        ctx.restore();
+    }
+}
+
+let waveField = null;
+
 // ============================================================================
 // RIPPLE CLASS
 // ============================================================================
@@ -514,6 +1240,11 @@ class Ripple {
         this.actionType = actionType;
         this.startTime = startTime;
         this.age = 0;
+        this.id = Ripple.nextId++;
+        this.secondary = false;       // echo spawned by a collision (never spawns echoes itself)
+        this.echoedWith = new Set();  // ids of ripples this one already spawned an echo with
+        this.segmentGain = null;      // per-angle gain left after absorption (Float32Array, created on first contact)
+        this.meanGain = 1;
         
         // Set parameters based on action type
         const params = this.getActionParams(actionType);
@@ -524,9 +1255,11 @@ class Ripple {
         this.lifespan = params.lifespan;
         this.color = params.color;
         
-        // For interference patterns (positive comment)
+        this.style = params.style;
+        
+        // For interference patterns (sparkle style)
         this.microRipples = [];
-        if (actionType === ACTIONS.POSITIVE_COMMENT) {
+        if (this.style === 'sparkle') {
             this.generateMicroRipples();
         }
     }
@@ -534,44 +1267,12 @@ class Ripple {
     getActionParams(actionType) {
         // Scale ripple size on small screens (reference width 800px)
         const scale = typeof width !== 'undefined' ? min(1, max(0.3, width / 800)) : 1;
-        switch(actionType) {
-            case ACTIONS.LIKE:
-                return {
-                    maxRadius: 530 * scale,
-                    amplitude: 1.15,
-                    damping: 0.956,
-                    speed: 4.25,
-                    lifespan: 4100,
-                    color: [100, 200, 255, 210] // Bright blue
-                };
-            case ACTIONS.DISLIKE:
-                return {
-                    maxRadius: 470 * scale,
-                    amplitude: 0.96,
-                    damping: 0.928,
-                    speed: 2.28,
-                    lifespan: 5300,
-                    color: [150, 100, 150, 188] // Muted purple
-                };
-            case ACTIONS.POSITIVE_COMMENT:
-                return {
-                    maxRadius: 415 * scale,
-                    amplitude: 0.74,
-                    damping: 0.983,
-                    speed: 4.45,
-                    lifespan: 3300,
-                    color: [255, 220, 100, 168] // Golden yellow
-                };
-            case ACTIONS.NEGATIVE_COMMENT:
-                return {
-                    maxRadius: 345 * scale,
-                    amplitude: 0.54,
-                    damping: 0.992,
-                    speed: 2.82,
-                    lifespan: 4500,
-                    color: [50, 50, 80, 145] // Dark muted blue
-                };
-        }
+        const params = actionType.ripple;
+        return {
+            ...params,
+            maxRadius: params.maxRadius * scale,
+            color: params.color.slice(),
+        };
     }
     
     generateMicroRipples() {
@@ -604,17 +1305,14 @@ class Ripple {
         // Apply damping based on radius
         let amp = this.amplitude * pow(this.damping, radius / 10);
         
-        // Special effects per action type
-        if (this.actionType === ACTIONS.DISLIKE) {
+        // Special effects per ripple style
+        if (this.style === 'droop') {
             // Drooping distortion
             const droop = sin(progress * PI * 2) * 0.1;
             amp *= (1 - droop);
         }
         
-        // Negative comment absorbs nearby waves
-        if (this.actionType === ACTIONS.NEGATIVE_COMMENT) {
-            // This will be handled in render to affect other ripples
-        }
+        // Absorb style damps nearby waves per ring segment; see updateRippleAbsorption
         
         return amp * (1 - progress * 0.7); // Fade out over time
     }
@@ -628,26 +1326,13 @@ class Ripple {
         push();
         noFill();
         
-        switch(this.actionType) {
-            case ACTIONS.LIKE:
-                this.renderLike(radius, amplitude);
-                break;
-            case ACTIONS.DISLIKE:
-                this.renderDislike(radius, amplitude);
-                break;
-            case ACTIONS.POSITIVE_COMMENT:
-                this.renderPositiveComment(radius, amplitude);
-                break;
-            case ACTIONS.NEGATIVE_COMMENT:
-                this.renderNegativeComment(radius, amplitude);
-                break;
-        }
+        this[RIPPLE_STYLES[this.style]](radius, amplitude);
         
         pop();
     }
     
-    // LIKE: Clean concentric circles with bright edge highlights
-    renderLike(radius, amplitude) {
+    // rings (LIKE): Clean concentric circles with bright edge highlights
+    renderRings(radius, amplitude) {
         const [r, g, b, a] = this.color;
         const numRings = 5;
         
@@ -656,21 +1341,20 @@ class Ripple {
             if (ringRadius <= 0) continue;
             
             const ringAlpha = a * amplitude * (1 - i / numRings) * 0.6;
-            stroke(r, g, b, ringAlpha);
             strokeWeight(2);
             
             // Bright edge highlight on outer ring
             if (i === 0) {
                 strokeWeight(3);
-                stroke(r + 50, g + 50, b + 50, ringAlpha * 1.2);
+                this.drawRing(ringRadius, r + 50, g + 50, b + 50, ringAlpha * 1.2);
+            } else {
+                this.drawRing(ringRadius, r, g, b, ringAlpha);
             }
-            
-            ellipse(this.x, this.y, ringRadius * 2);
         }
     }
     
-    // DISLIKE: Heavier ripples, slower, with drooping distortion
-    renderDislike(radius, amplitude) {
+    // droop (DISLIKE): Heavier ripples, slower, with drooping distortion
+    renderDroop(radius, amplitude) {
         const [r, g, b, a] = this.color;
         const numRings = 4;
         
@@ -679,23 +1363,40 @@ class Ripple {
             if (ringRadius <= 0) continue;
             
             const ringAlpha = a * amplitude * (1 - i / numRings) * 0.5;
-            stroke(r, g, b, ringAlpha);
             strokeWeight(3);
             
             // Drooping effect - distort the circle
-            beginShape();
-            for (let angle = 0; angle < TWO_PI; angle += 0.18) {
+            const droopAt = (angle) => {
                 const droop = sin(angle * 3 + this.age * 0.01) * 5;
-                const x = this.x + cos(angle) * (ringRadius + droop);
-                const y = this.y + sin(angle) * (ringRadius + droop * 0.5);
-                vertex(x, y);
+                return [this.x + cos(angle) * (ringRadius + droop), this.y + sin(angle) * (ringRadius + droop * 0.5)];
+            };
+            if (!this.segmentGain) {
+                stroke(r, g, b, ringAlpha);
+                beginShape();
+                for (let angle = 0; angle < TWO_PI; angle += 0.18) {
+                    vertex(...droopAt(angle));
+                }
+                endShape(CLOSE);
+                continue;
+            }
+            // Absorbed: one open polyline per ring segment so each keeps its own gain
+            const step = TWO_PI / ABSORB_SEGMENTS;
+            for (let k = 0; k < ABSORB_SEGMENTS; k++) {
+                const segAlpha = ringAlpha * this.segmentGain[k];
+                if (segAlpha < 1) continue;
+                stroke(r, g, b, segAlpha);
+                beginShape();
+                for (let angle = k * step; angle < (k + 1) * step; angle += 0.09) {
+                    vertex(...droopAt(angle));
+                }
+                vertex(...droopAt((k + 1) * step));
+                endShape();
             }
-            endShape(CLOSE);
         }
     }
     
-    // POSITIVE COMMENT: Many small micro-ripples + sparkly interference
-    renderPositiveComment(radius, amplitude) {
+    // sparkle (POSITIVE COMMENT): Many small micro-ripples + sparkly interference
+    renderSparkle(radius, amplitude) {
         const [r, g, b, a] = this.color;
         
         // Main ripple
@@ -704,9 +1405,8 @@ class Ripple {
             if (ringRadius <= 0) continue;
             
             const ringAlpha = a * amplitude * (1 - i / 3) * 0.4;
-            stroke(r, g, b, ringAlpha);
             strokeWeight(1.5);
-            ellipse(this.x, this.y, ringRadius * 2);
+            this.drawRing(ringRadius, r, g, b, ringAlpha);
         }
         
         // Micro-ripples
@@ -715,7 +1415,7 @@ class Ripple {
             if (microAge < 0 || microAge > 1000) continue;
             
             const microRadius = (microAge / 1000) * micro.radius;
-            const microAlpha = a * amplitude * (1 - microAge / 1000) * 0.3;
+            const microAlpha = a * amplitude * (1 - microAge / 1000) * 0.3 * this.meanGain;
             
             stroke(r + 50, g + 30, b - 20, microAlpha);
             strokeWeight(1);
@@ -724,7 +1424,7 @@ class Ripple {
         
         // Sparkly interference pattern
         push();
-        stroke(r + 100, g + 80, b, amplitude * 30);
+        stroke(r + 100, g + 80, b, amplitude * 30 * this.meanGain);
         strokeWeight(1);
         for (let i = 0; i < 8; i++) {
             const angle = (this.age * 0.02 + i * PI / 4) % TWO_PI;
@@ -738,8 +1438,8 @@ class Ripple {
         pop();
     }
     
-    // NEGATIVE COMMENT: Minimal ripple that absorbs nearby waves
-    renderNegativeComment(radius, amplitude) {
+    // absorb (NEGATIVE COMMENT): Minimal ripple that absorbs nearby waves
+    renderAbsorb(radius, amplitude) {
         const [r, g, b, a] = this.color;
         
         // Very subtle main ripple
@@ -753,22 +1453,223 @@ class Ripple {
             ellipse(this.x, this.y, ringRadius * 2);
         }
         
-        // Absorption effect - damp other ripples in radius
-        // This is handled in the main render loop
+        // Absorption of other ripples happens in updateRippleAbsorption
     }
     
-    // Check if this ripple should damp another ripple (negative comment effect)
-    shouldDamp(otherRipple) {
-        if (this.actionType !== ACTIONS.NEGATIVE_COMMENT) return false;
-        if (otherRipple === this) return false;
-        
-        const dx = this.x - otherRipple.x;
-        const dy = this.y - otherRipple.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const absorptionRadius = this.getCurrentRadius() * 1.5;
-        
-        return distance < absorptionRadius;
+    /** Stroke one circular ring; once absorption has touched this ripple it is drawn as arcs, each at its segment's gain */
+    drawRing(ringRadius, r, g, b, alpha) {
+        if (!this.segmentGain) {
+            stroke(r, g, b, alpha);
+            ellipse(this.x, this.y, ringRadius * 2);
+            return;
+        }
+        const step = TWO_PI / ABSORB_SEGMENTS;
+        for (let k = 0; k < ABSORB_SEGMENTS; k++) {
+            const segAlpha = alpha * this.segmentGain[k];
+            if (segAlpha < 1) continue;
+            stroke(r, g, b, segAlpha);
+            arc(this.x, this.y, ringRadius * 2, ringRadius * 2, k * step, (k + 1) * step + 0.01); // overlap hides seams
+        }
+    }
+    
+    /** Silence zone of an absorb-style ripple: reaches past its ring and weakens as the ripple fades */
+    getAbsorbReach() {
+        return this.getCurrentRadius() * ABSORB_REACH;
+    }
+    
+    getAbsorbPower() {
+        return constrain(1 - this.age / this.lifespan, 0, 1);
+    }
+}
+
+Ripple.nextId = 1;
+
+// ============================================================================
+// RIPPLE ABSORPTION ("Silence": absorb-style ripples soak up nearby waves, icons and sounds)
+// ============================================================================
+//
+// Each absorber has a zone of ABSORB_REACH × its radius. Inside it, attenuation falls off smoothly from the
+// centre to the edge. Rings lose gain per angular segment while they pass through the zone and never get it
+// back, so the part of a wave that crossed the silence stays quiet after it has left.
+
+/** Angular segments per ring that track absorption separately */
+const ABSORB_SEGMENTS = 24;
+/** Zone radius as a multiple of the absorber's current radius */
+const ABSORB_REACH = 1.5;
+/** Gain lost per second at the zone centre (exponential): e^-2.5 ≈ 8% left after a full second */
+const ABSORB_RATE = 2.5;
+/** Deepest instantaneous dip for icons and sounds at the zone centre */
+const ABSORB_DEPTH = 0.85;
+
+let lastAbsorptionMs = null;
+
+/** 0 at the zone edge → 1 at the centre (smoothstep) */
+function absorbFalloff(absorber, x, y) {
+    const reach = absorber.getAbsorbReach();
+    if (reach <= 0) return 0;
+    const d = dist(x, y, absorber.x, absorber.y);
+    if (d >= reach) return 0;
+    const f = 1 - d / reach;
+    return f * f * (3 - 2 * f);
+}
+
+function activeAbsorbers() {
+    return ripples.filter((r) => r.style === 'absorb' && r.age >= 0 && r.getAbsorbPower() > 0);
+}
+
+/** Instantaneous gain (0–1) at a point, for things that do not carry their own history (icons, new sounds) */
+function silenceGainAt(x, y) {
+    let gain = 1;
+    for (const a of activeAbsorbers()) {
+        gain *= 1 - ABSORB_DEPTH * a.getAbsorbPower() * absorbFalloff(a, x, y);
     }
+    return gain;
+}
+
+/** Drain ring segments that sit inside a silence zone; call once per simulation step (draw and replay seek) */
+function updateRippleAbsorption(nowMs) {
+    const dtMs = lastAbsorptionMs === null ? 0 : constrain(nowMs - lastAbsorptionMs, 0, 100);
+    lastAbsorptionMs = nowMs;
+    const absorbers = activeAbsorbers();
+    if (!absorbers.length || dtMs <= 0) return;
+    const step = TWO_PI / ABSORB_SEGMENTS;
+    for (const ripple of ripples) {
+        if (ripple.style === 'absorb') continue; // silence does not silence silence
+        const radius = ripple.getCurrentRadius();
+        if (radius <= 0) continue;
+        let touched = false;
+        for (let k = 0; k < ABSORB_SEGMENTS; k++) {
+            const angle = (k + 0.5) * step;
+            const px = ripple.x + cos(angle) * radius;
+            const py = ripple.y + sin(angle) * radius;
+            let exposure = 0;
+            for (const a of absorbers) exposure += a.getAbsorbPower() * absorbFalloff(a, px, py);
+            if (exposure <= 0) continue;
+            if (!ripple.segmentGain) ripple.segmentGain = new Float32Array(ABSORB_SEGMENTS).fill(1);
+            ripple.segmentGain[k] *= Math.exp(-ABSORB_RATE * exposure * dtMs / 1000);
+            touched = true;
+        }
+        if (touched) {
+            let sum = 0;
+            for (let k = 0; k < ABSORB_SEGMENTS; k++) sum += ripple.segmentGain[k];
+            ripple.meanGain = sum / ABSORB_SEGMENTS;
+        }
+    }
+}
+
+// ============================================================================
+// RIPPLE INTERFERENCE (where the wavefronts of two ripples cross)
+// ============================================================================
+//
+// Each ripple's leading ring is a crest with a trough half a ring-spacing behind it. Crest × crest crossings
+// are constructive (bright node), crest × trough crossings destructive (dark node). Computed in the simulation
+// step, not the renderer, so replay seeks spawn the same secondary ripples as live playback.
+
+/** Spacing of the crest rings drawn by the ripple styles (px) */
+const INTERFERENCE_RING_SPACING = 15;
+const MAX_INTERFERENCE_NODES = 160;
+/** Wavefronts weaker than this are ignored */
+const INTERFERENCE_MIN_AMPLITUDE = 0.05;
+/** Secondary ripples are small, short echoes of the stronger parent */
+const SECONDARY_RIPPLE_AMPLITUDE = 0.45;
+const SECONDARY_RIPPLE_RADIUS = 0.35;
+const SECONDARY_RIPPLE_LIFESPAN = 0.6;
+
+/** Nodes found by the last updateRippleInterference(): [{ x, y, strength, constructive, color }] */
+let interferenceNodes = [];
+
+/** Intersection points of two circles; empty when they miss or one lies inside the other */
+function circleIntersections(x1, y1, r1, x2, y2, r2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const d = Math.hypot(dx, dy);
+    if (d === 0 || r1 <= 0 || r2 <= 0 || d > r1 + r2 || d < abs(r1 - r2)) return [];
+    const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+    const h = Math.sqrt(max(0, r1 * r1 - a * a));
+    const mx = x1 + (dx * a) / d;
+    const my = y1 + (dy * a) / d;
+    return [
+        { x: mx - (dy * h) / d, y: my + (dx * h) / d },
+        { x: mx + (dy * h) / d, y: my - (dx * h) / d },
+    ];
+}
+
+function mixRippleColors(a, b) {
+    return [(a.color[0] + b.color[0]) / 2, (a.color[1] + b.color[1]) / 2, (a.color[2] + b.color[2]) / 2];
+}
+
+/** Find crossing nodes between all live ripple pairs and spawn secondary ripples for strong crossings */
+function updateRippleInterference(nowMs) {
+    interferenceNodes = [];
+    const cfg = exhibitConfig.ripples;
+    if (!cfg.interference && !cfg.secondaryRipples) return;
+    const fronts = [];
+    for (const r of ripples) {
+        const radius = r.getCurrentRadius();
+        const amp = r.getCurrentAmplitude() * r.meanGain;
+        if (radius > 0 && amp > INTERFERENCE_MIN_AMPLITUDE) fronts.push({ r, radius, amp });
+    }
+    const echoes = [];
+    const half = INTERFERENCE_RING_SPACING / 2;
+    for (let i = 0; i < fronts.length; i++) {
+        for (let j = i + 1; j < fronts.length; j++) {
+            const a = fronts[i];
+            const b = fronts[j];
+            const crests = circleIntersections(a.r.x, a.r.y, a.radius, b.r.x, b.r.y, b.radius);
+            if (!crests.length) continue;
+            const color = mixRippleColors(a.r, b.r);
+            if (cfg.interference && interferenceNodes.length < MAX_INTERFERENCE_NODES) {
+                for (const p of crests) {
+                    interferenceNodes.push({ x: p.x, y: p.y, strength: a.amp + b.amp, constructive: true, color });
+                }
+                const troughs = circleIntersections(a.r.x, a.r.y, a.radius, b.r.x, b.r.y, b.radius - half)
+                    .concat(circleIntersections(a.r.x, a.r.y, a.radius - half, b.r.x, b.r.y, b.radius));
+                for (const p of troughs) {
+                    interferenceNodes.push({ x: p.x, y: p.y, strength: min(a.amp, b.amp), constructive: false, color });
+                }
+            }
+            if (cfg.secondaryRipples && !a.r.secondary && !b.r.secondary &&
+                a.amp + b.amp >= cfg.secondaryThreshold && !a.r.echoedWith.has(b.r.id)) {
+                a.r.echoedWith.add(b.r.id);
+                b.r.echoedWith.add(a.r.id);
+                echoes.push({ parent: a.amp >= b.amp ? a.r : b.r, at: crests[0] });
+            }
+        }
+    }
+    // Echoes only fill free slots — they never evict ripples people made
+    for (const { parent, at } of echoes) {
+        if (ripples.length >= cfg.maxRipples) break;
+        const echo = new Ripple(at.x, at.y, parent.actionType, nowMs);
+        echo.secondary = true;
+        echo.amplitude = parent.amplitude * SECONDARY_RIPPLE_AMPLITUDE;
+        echo.maxRadius *= SECONDARY_RIPPLE_RADIUS;
+        echo.lifespan *= SECONDARY_RIPPLE_LIFESPAN;
+        ripples.push(echo);
+        if (waveField && exhibitConfig.waveField.enabled) waveField.disturb(echo);
+    }
+}
+
+function renderInterferenceNodes() {
+    if (!interferenceNodes.length) return;
+    push();
+    noStroke();
+    for (const n of interferenceNodes) {
+        const [r, g, b] = n.color;
+        if (n.constructive) {
+            // Crests add up: soft halo in the mixed colour with a bright core
+            const size = 6 + n.strength * 10;
+            const alpha = constrain(n.strength * 110, 0, 200);
+            fill(r, g, b, alpha * 0.35);
+            ellipse(n.x, n.y, size * 2.2);
+            fill(min(255, r + 80), min(255, g + 80), min(255, b + 80), alpha);
+            ellipse(n.x, n.y, size * 0.6);
+        } else {
+            // Crest meets trough: the water goes still — a small dark patch
+            fill(0, 0, 0, constrain(n.strength * 120, 0, 140));
+            ellipse(n.x, n.y, 8 + n.strength * 8);
+        }
+    }
+    pop();
 }
 
 // ============================================================================
@@ -776,18 +1677,7 @@ class Ripple {
 // ============================================================================
 
 function getActionAccentRgb(actionType) {
-    switch (actionType) {
-        case ACTIONS.LIKE:
-            return [100, 200, 255];
-        case ACTIONS.DISLIKE:
-            return [150, 100, 150];
-        case ACTIONS.POSITIVE_COMMENT:
-            return [255, 220, 100];
-        case ACTIONS.NEGATIVE_COMMENT:
-            return [90, 95, 140];
-        default:
-            return [180, 190, 220];
-    }
+    return actionType && actionType.accent ? actionType.accent.slice(0, 3) : [180, 190, 220];
 }
 
 class IconEchoBurst {
@@ -799,6 +1689,7 @@ class IconEchoBurst {
         this.delayMs = options.delayMs || 0;
         this.placedMs = millis();
         this.activeAtMs = this.placedMs + this.delayMs;
+        this.silenceGain = 1; // eases toward silenceGainAt() so crossing a zone edge does not pop
 
         const ref = min(width, pondHeight);
         if (this.isSatellite) {
@@ -886,9 +1777,10 @@ class IconEchoBurst {
         const elapsed = nowMs - this.activeAtMs;
         if (elapsed >= this.totalMs()) return false;
 
-        const img = actionIconImages.get(this.actionType);
+        const img = this.actionType.icon ? actionIconImages.get(this.actionType.icon) : null;
         const accent = getActionAccentRgb(this.actionType);
-        const pr = this.presence(elapsed);
+        this.silenceGain = lerp(this.silenceGain, silenceGainAt(this.cx, this.cy), 0.2);
+        const pr = this.presence(elapsed) * this.silenceGain;
 
         push();
         this.drawRings(elapsed, pr, accent);
@@ -925,56 +1817,151 @@ function spawnIconEchoBurst(actionType, rippleX, rippleY) {
 // ACTIVITY MANAGER
 // ============================================================================
 
+/** Adaptive mode: how often the tuning moves, how long it watches first, and how hard it reacts to a log-ratio miss */
+const ADAPT_INTERVAL_MS = 30000;
+const ADAPT_MIN_SPAN_MS = 120000;
+const ADAPT_GAIN = 0.05;
+
+/** Add a listener record; the returned function removes it again */
+function subscribe(list, listener) {
+    list.push(listener);
+    return () => {
+        const i = list.indexOf(listener);
+        if (i >= 0) list.splice(i, 1);
+    };
+}
+
 class ActivityManager {
     constructor() {
         this.meter = 0.0;
         this.state = STATE.CALM;
-        this.overloadThreshold = 1.0;
-        this.decayRate = 0.001; // Per frame
         this.overloadStartTime = 0;
+        this.overloadDurationMs = 0; // fade + this OVERLOAD's random hold
         this.recoverStartTime = 0;
+        this.lastUpdateMs = null;
         this.blackoutAlpha = 0;
-        
-        // Activity weights per action
-        this.weights = {
-            [ACTIONS.LIKE]: 0.15,
-            [ACTIONS.DISLIKE]: 0.18,
-            [ACTIONS.POSITIVE_COMMENT]: 0.20,
-            [ACTIONS.NEGATIVE_COMMENT]: 0.12
-        };
+        // Adaptive mode: rolling input/overload timestamps and the sensitivity they steer
+        this.inputTimes = [];
+        this.overloadTimes = [];
+        this.sensitivity = 1; // weightScale × configured threshold / overloadThreshold
+        this.weightScale = 1;
+        this.adaptStartMs = null;
+        this.lastAdaptMs = null;
+        // Subscribers (see onEnter / onExit / onMeterCross); survive reset()
+        this.enterListeners = [];
+        this.exitListeners = [];
+        this.crossListeners = [];
+        this.applyConfig(exhibitConfig.activity);
+    }
+    
+    /** fn(state, previousState) whenever `state` is entered; pass null to hear every transition. Returns an unsubscribe function. */
+    onEnter(state, fn) {
+        return subscribe(this.enterListeners, { state, fn });
+    }
+    
+    /** fn(state, nextState) whenever `state` is left (null = any) */
+    onExit(state, fn) {
+        return subscribe(this.exitListeners, { state, fn });
+    }
+    
+    /** fn(rising, meter) each time the meter passes `threshold` — rising is true going up, false coming down */
+    onMeterCross(threshold, fn) {
+        return subscribe(this.crossListeners, { threshold, fn });
+    }
+    
+    /** Every state change goes through here so subscribers hear exit, then enter, after the new state's fields are set */
+    setState(next) {
+        const prev = this.state;
+        if (next === prev) return;
+        this.state = next;
+        for (const l of this.exitListeners) if (l.state === null || l.state === prev) l.fn(prev, next);
+        for (const l of this.enterListeners) if (l.state === null || l.state === next) l.fn(next, prev);
+    }
+    
+    setMeter(value) {
+        const prev = this.meter;
+        this.meter = value;
+        for (const l of this.crossListeners) {
+            if (prev < l.threshold && value >= l.threshold) l.fn(true, value);
+            else if (prev >= l.threshold && value < l.threshold) l.fn(false, value);
+        }
+    }
+    
+    /** Back to a fresh CALM pond (replay rewind) without dropping subscribers */
+    reset() {
+        this.inputTimes = [];
+        this.overloadTimes = [];
+        this.sensitivity = 1;
+        this.adaptStartMs = null;
+        this.lastAdaptMs = null;
+        this.applySensitivity();
+        this.setMeter(0);
+        this.blackoutAlpha = 0;
+        this.lastUpdateMs = null;
+        this.setState(STATE.CALM);
     }
     
-    addActivity(actionType) {
+    /** Thresholds and timings from exhibit.json (per-action weights live in the action registry) */
+    applyConfig(cfg) {
+        this.baseThreshold = cfg.overloadThreshold;
+        this.adaptive = cfg.adaptive;
+        this.applySensitivity();
+        this.decayHalfLifeMs = cfg.decayHalfLifeMs;
+        this.blackoutFadeMs = cfg.blackoutFadeMs;
+        this.blackoutHoldMinMs = cfg.blackoutHoldMinMs;
+        this.blackoutHoldMaxMs = max(cfg.blackoutHoldMinMs, cfg.blackoutHoldMaxMs);
+        this.recoverFadeMs = cfg.recoverFadeMs;
+        this.recoverMeter = cfg.recoverMeter;
+    }
+    
+    /** Crowd traffic for adaptive mode — called for every input, including taps OVERLOAD ignores */
+    noteInput() {
+        if (this.adaptive.enabled) this.inputTimes.push(millis());
+    }
+    
+    addActivity(actionType, intensity = 1) {
         if (this.state === STATE.OVERLOAD) return; // Don't add during overload
         
-        const weight = this.weights[actionType] || 0.15;
-        this.meter = min(this.meter + weight, 1.5); // Allow slight overflow
+        const weight = actionType.weight * intensity * this.weightScale;
+        this.setMeter(min(this.meter + weight, 1.5)); // Allow slight overflow
         
         // Transition to ACTIVE if meter is rising
         if (this.meter > 0.3 && this.state === STATE.CALM) {
-            this.state = STATE.ACTIVE;
+            this.setState(STATE.ACTIVE);
         }
         
-        // Check for overload
-        if (this.meter >= this.overloadThreshold && this.state !== STATE.OVERLOAD) {
+        // Check for overload (only crowd-made ones count toward the adaptive target).
+        // In adaptive mode RECOVER runs its course: the meter is still frozen at its overload value there, so
+        // re-tripping on it would lock a busy pond into back-to-back blackouts that no threshold or weight could break.
+        const recoverLocked = this.adaptive.enabled && this.state === STATE.RECOVER;
+        if (this.meter >= this.overloadThreshold && this.state !== STATE.OVERLOAD && !recoverLocked) {
+            if (this.adaptive.enabled) this.overloadTimes.push(millis());
             this.triggerOverload();
         }
     }
     
     triggerOverload() {
-        this.state = STATE.OVERLOAD;
         this.overloadStartTime = millis();
+        this.overloadDurationMs = this.blackoutFadeMs + random(this.blackoutHoldMinMs, this.blackoutHoldMaxMs);
         this.blackoutAlpha = 0;
+        this.setState(STATE.OVERLOAD);
     }
     
+    /** Everything runs on elapsed millis(), so 30 fps kiosks and 120 Hz monitors drain and fade alike */
     update() {
+        const now = millis();
+        const dtMs = this.lastUpdateMs === null ? 0 : max(0, now - this.lastUpdateMs);
+        this.lastUpdateMs = now;
+        if (this.adaptive.enabled) this.adapt(now);
+        
         // Decay meter over time (except during overload/recover)
         if (this.state === STATE.CALM || this.state === STATE.ACTIVE) {
-            this.meter = max(0, this.meter - this.decayRate);
+            const decayed = this.meter * Math.pow(0.5, dtMs / this.decayHalfLifeMs);
+            this.setMeter(decayed < 0.001 ? 0 : decayed);
             
             // Return to calm if meter is low
             if (this.meter < 0.2 && this.state === STATE.ACTIVE) {
-                this.state = STATE.CALM;
+                this.setState(STATE.CALM);
             }
         }
         
@@ -982,17 +1969,17 @@ class ActivityManager {
         if (this.state === STATE.OVERLOAD) {
             const elapsed = millis() - this.overloadStartTime;
             
-            // Fade to black in 2 seconds
-            if (elapsed < 2000) {
-                this.blackoutAlpha = map(elapsed, 0, 2000, 0, 255);
+            // Fade to black (2 seconds by default)
+            if (elapsed < this.blackoutFadeMs) {
+                this.blackoutAlpha = map(elapsed, 0, this.blackoutFadeMs, 0, 255);
             } else {
                 this.blackoutAlpha = 255;
             }
             
-            // Keep black for 5-10 seconds, then recover
-            if (elapsed > 7000) {
-                this.state = STATE.RECOVER;
+            // Keep black for the hold drawn in triggerOverload (5–10 s by default), then recover
+            if (elapsed > this.overloadDurationMs) {
                 this.recoverStartTime = millis();
+                this.setState(STATE.RECOVER);
             }
         }
         
@@ -1000,17 +1987,66 @@ class ActivityManager {
         if (this.state === STATE.RECOVER) {
             const elapsed = millis() - this.recoverStartTime;
             
-            // Fade back over 3 seconds
-            if (elapsed < 3000) {
-                this.blackoutAlpha = map(elapsed, 0, 3000, 255, 0);
+            // Fade back (3 seconds by default)
+            if (elapsed < this.recoverFadeMs) {
+                this.blackoutAlpha = map(elapsed, 0, this.recoverFadeMs, 255, 0);
             } else {
                 this.blackoutAlpha = 0;
-                this.meter = 0.3; // Reset to moderate level
-                this.state = STATE.CALM;
+                this.setMeter(this.recoverMeter); // Reset to moderate level
+                this.setState(STATE.CALM);
             }
         }
     }
     
+    /**
+     * Adaptive mode, every ADAPT_INTERVAL_MS: compare the overload rate over the rolling window with the
+     * target and nudge sensitivity by the log of the ratio (too many → less sensitive, too few → more).
+     * While fewer than minInputsPerMinute arrive nobody is there to tune for, so the values hold.
+     */
+    adapt(now) {
+        if (this.adaptStartMs === null) this.adaptStartMs = this.lastAdaptMs = now;
+        if (now - this.lastAdaptMs < ADAPT_INTERVAL_MS) return;
+        const cfg = this.adaptive;
+        const since = now - cfg.windowMs;
+        while (this.inputTimes.length && this.inputTimes[0] < since) this.inputTimes.shift();
+        while (this.overloadTimes.length && this.overloadTimes[0] < since) this.overloadTimes.shift();
+        const stepMs = now - this.lastAdaptMs;
+        this.lastAdaptMs = now;
+        const spanMs = min(cfg.windowMs, now - this.adaptStartMs);
+        if (spanMs < ADAPT_MIN_SPAN_MS || this.getInputsPerMinute(now) < cfg.minInputsPerMinute) return;
+        
+        // +0.5 on both sides keeps the ratio finite with no overloads yet and damps small counts
+        const hours = spanMs / 3600000;
+        const error = Math.log((this.overloadTimes.length + 0.5) / (cfg.targetOverloadsPerHour * hours + 0.5));
+        this.sensitivity *= Math.exp(-ADAPT_GAIN * error * (stepMs / ADAPT_INTERVAL_MS));
+        this.applySensitivity();
+    }
+    
+    /** Split sensitivity evenly between threshold and weights, clamp each to its bounds, then re-derive it (no wind-up) */
+    applySensitivity() {
+        const cfg = this.adaptive;
+        if (!cfg.enabled) {
+            this.sensitivity = 1;
+            this.weightScale = 1;
+            this.overloadThreshold = this.baseThreshold;
+            return;
+        }
+        const root = Math.sqrt(this.sensitivity);
+        this.weightScale = constrain(root, cfg.weightScaleMin, max(cfg.weightScaleMin, cfg.weightScaleMax));
+        this.overloadThreshold = constrain(this.baseThreshold / root, cfg.thresholdMin, max(cfg.thresholdMin, cfg.thresholdMax));
+        this.sensitivity = this.weightScale * this.baseThreshold / this.overloadThreshold;
+    }
+    
+    getInputsPerMinute(now = millis()) {
+        const spanMs = this.adaptStartMs === null ? 0 : min(this.adaptive.windowMs, now - this.adaptStartMs);
+        return spanMs > 0 ? this.inputTimes.length / (spanMs / 60000) : 0;
+    }
+    
+    getOverloadsPerHour(now = millis()) {
+        const spanMs = this.adaptStartMs === null ? 0 : min(this.adaptive.windowMs, now - this.adaptStartMs);
+        return spanMs > 0 ? this.overloadTimes.length / (spanMs / 3600000) : 0;
+    }
+    
     getBackgroundTurbulence() {
         // Increase background noise/grain as meter rises
         return map(this.meter, 0, 1.0, 0.3, 1.5, true);
@@ -1044,191 +2080,759 @@ class ActivityManager {
     getBlackoutAlpha() {
         return this.blackoutAlpha;
     }
+    
+    /** Operator override: jump straight into OVERLOAD (admin console) */
+    forceOverload() {
+        if (this.state === STATE.OVERLOAD) return;
+        this.setMeter(max(this.meter, this.overloadThreshold));
+        this.triggerOverload();
+    }
+    
+    /** Operator override: skip the rest of the blackout hold and start fading back in */
+    forceRecover() {
+        if (this.state !== STATE.OVERLOAD) return;
+        this.recoverStartTime = millis();
+        this.blackoutAlpha = 255;
+        this.setState(STATE.RECOVER);
+    }
+    
+    resetMeter() {
+        this.setMeter(0);
+        if (this.state === STATE.ACTIVE) this.setState(STATE.CALM);
+    }
+    
+    /** ms until OVERLOAD hands over to RECOVER (0 outside OVERLOAD) */
+    getOverloadRemainingMs() {
+        if (this.state !== STATE.OVERLOAD) return 0;
+        return max(0, this.overloadDurationMs - (millis() - this.overloadStartTime));
+    }
 }
 
 // ============================================================================
 // SOUND MANAGER
 // ============================================================================
 
-class SoundManager {
-    constructor() {
-        this.ambientOsc = null;
-        this.ambientEnv = null;
-        this.ambientGain = null;
-        this.masterVolume = 0.5;
+/** Master low-pass sweep: open while CALM, closing as the meter climbs toward the overload threshold */
+const LOWPASS_OPEN_HZ = 16000;
+const LOWPASS_CLOSED_HZ = 600;
+const LOWPASS_SWEEP_START = 0.3; // meter where ACTIVE begins
+/** Smoothing time constant (s) for bus automation — hides per-frame steps without lagging the picture */
+const BUS_RAMP_S = 0.08;
+
+/** Two seconds of looping white noise per context, shared by every noise layer */
+const noiseBuffers = new WeakMap();
+function whiteNoiseBuffer(ac) {
+    if (!noiseBuffers.has(ac)) {
+        const buffer = ac.createBuffer(1, ac.sampleRate * 2, ac.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        noiseBuffers.set(ac, buffer);
+    }
+    return noiseBuffers.get(ac);
+}
+
+/** Ambient drone tuning: a root plus voices in semitones; the two thirds are crossfaded by Happy/Sad */
+const AMBIENT_ROOT_HZ = 110; // A2
+const AMBIENT_VOICES = [
+    { id: 'root', semis: 0, type: 'sine', level: 0.45, spread: 0 },
+    { id: 'fifth', semis: 7, type: 'sine', level: 0.28, spread: 9 },
+    { id: 'minorThird', semis: 3, type: 'triangle', level: 0.2, spread: -7 },
+    { id: 'majorThird', semis: 4, type: 'triangle', level: 0.2, spread: 7 },
+    { id: 'octave', semis: 12, type: 'sine', level: 0.16, spread: -12 },
+    { id: 'ninth', semis: 14, type: 'sine', level: 0.09, spread: 15 },
+];
+/** Mood (quadrant) changes drift in over seconds; the meter is followed faster so harshness tracks the crowd */
+const AMBIENT_MOOD_RAMP_S = 1.5;
+const AMBIENT_METER_RAMP_S = 0.3;
+/** Parameter pushes are throttled — setTargetAtTime every frame on ~20 params just queues automation events */
+const AMBIENT_UPDATE_S = 0.1;
+/** Detune (cents) each drone voice drifts by at a full meter, so the chord beats and sours under load */
+const AMBIENT_MAX_SPREAD = 2.5;
+
+function semitonesToHz(rootHz, semis) {
+    return rootHz * Math.pow(2, semis / 12);
+}
+
+/**
+ * Layered ambient bed on plain Web Audio nodes, feeding the SoundManager's ambientBus:
+ *  - water: looping white noise through a band-pass that a slow LFO sweeps like passing swells
+ *  - drones: root/fifth/third/octave/ninth sines, each with its own slow vibrato and tremolo
+ *  - grit: a filtered saw that only surfaces once the meter is high
+ *  - plinks: sparse high chord tones, frequent toward Noise and rare toward Silence
+ * Happy/Sad crossfades the minor and major thirds; Noise/Silence sets density (upper voices, water, plinks).
+ * Randomness uses Math.random so audio never consumes the seeded p5 stream replay relies on.
+ */
+class AmbientEngine {
+    constructor(ac, destination) {
+        this.ac = ac;
+        this.sources = []; // every started source node, for stop()
+        this.voices = [];
+        this.lastUpdateTime = -Infinity;
+        this.nextPlinkTime = ac.currentTime + 2;
+        this.happy = 0.5;
+        this.density = 0.5;
+        this.output = ac.createGain();
+        this.output.gain.value = 0;
+        this.output.connect(destination);
+        this.buildWater();
+        this.buildDrones();
+        this.buildGrit();
+    }
+    
+    /** Slow sine LFO driving param by ±depth around whatever the param is set to */
+    modulate(param, rateHz, depth) {
+        const lfo = this.ac.createOscillator();
+        lfo.frequency.value = rateHz;
+        const amount = this.ac.createGain();
+        amount.gain.value = depth;
+        lfo.connect(amount);
+        amount.connect(param);
+        lfo.start();
+        this.sources.push(lfo);
+        return lfo;
+    }
+    
+    buildWater() {
+        const ac = this.ac;
+        const noise = ac.createBufferSource();
+        noise.buffer = whiteNoiseBuffer(ac);
+        noise.loop = true;
+        this.waterFilter = ac.createBiquadFilter();
+        this.waterFilter.type = 'bandpass';
+        this.waterFilter.frequency.value = 500;
+        this.waterFilter.Q.value = 0.9;
+        this.waterGain = ac.createGain();
+        this.waterGain.gain.value = 0.2;
+        noise.connect(this.waterFilter);
+        this.waterFilter.connect(this.waterGain);
+        this.waterGain.connect(this.output);
+        noise.start();
+        this.sources.push(noise);
+        this.waterLfo = this.modulate(this.waterFilter.frequency, 0.07, 220);
+    }
+    
+    buildDrones() {
+        const ac = this.ac;
+        AMBIENT_VOICES.forEach((spec, i) => {
+            const osc = ac.createOscillator();
+            osc.type = spec.type;
+            osc.frequency.value = semitonesToHz(AMBIENT_ROOT_HZ, spec.semis);
+            const amp = ac.createGain();
+            amp.gain.value = 0;
+            // Tremolo is its own stage (1 ± 0.3) in series, so the mood level on amp can still reach true silence
+            const trem = ac.createGain();
+            trem.gain.value = 1;
+            osc.connect(trem);
+            trem.connect(amp);
+            amp.connect(this.output);
+            osc.start();
+            this.sources.push(osc);
+            // Rates are staggered so the voices never pulse in step
+            this.modulate(osc.detune, 0.05 + i * 0.031, 4);
+            this.modulate(trem.gain, 0.03 + i * 0.017, 0.3);
+            this.voices.push({ spec, osc, amp });
+        });
+    }
+    
+    buildGrit() {
+        const ac = this.ac;
+        const osc = ac.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = AMBIENT_ROOT_HZ;
+        const filter = ac.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = 900;
+        this.gritGain = ac.createGain();
+        this.gritGain.gain.value = 0;
+        osc.connect(filter);
+        filter.connect(this.gritGain);
+        this.gritGain.connect(this.output);
+        osc.start();
+        this.sources.push(osc);
+    }
+    
+    /** Level voices of the current chord: thirds by mood, upper partials by density */
+    voiceLevel(id) {
+        switch (id) {
+            case 'minorThird': return 1 - this.happy;
+            case 'majorThird': return this.happy;
+            case 'octave': return 0.25 + 0.75 * this.density;
+            case 'ninth': return this.density * this.density;
+            default: return 1;
+        }
+    }
+    
+    /**
+     * @param meter activity meter (0…overload)
+     * @param quadrant { happySad, noiseSilence } in −1…1
+     * @param level overall ambient gain (volume × master)
+     */
+    update(meter, quadrant, level) {
+        const now = this.ac.currentTime;
+        if (now >= this.nextPlinkTime) this.plink(now);
+        if (now - this.lastUpdateTime < AMBIENT_UPDATE_S) return;
+        this.lastUpdateTime = now;
+        
+        this.happy = (constrain(quadrant.happySad, -1, 1) + 1) / 2;
+        this.density = (constrain(quadrant.noiseSilence, -1, 1) + 1) / 2;
+        const harsh = constrain(meter, 0, 1);
+        
+        this.output.gain.setTargetAtTime(level, now, AMBIENT_METER_RAMP_S);
+        for (const v of this.voices) {
+            v.amp.gain.setTargetAtTime(v.spec.level * this.voiceLevel(v.spec.id), now, AMBIENT_MOOD_RAMP_S);
+            v.osc.detune.setTargetAtTime(v.spec.spread * AMBIENT_MAX_SPREAD * harsh, now, AMBIENT_METER_RAMP_S);
+        }
+        this.waterGain.gain.setTargetAtTime(0.1 + 0.25 * this.density + 0.2 * harsh, now, AMBIENT_MOOD_RAMP_S);
+        this.waterFilter.frequency.setTargetAtTime(350 + 500 * this.density + 900 * harsh, now, AMBIENT_METER_RAMP_S);
+        this.waterLfo.frequency.setTargetAtTime(0.05 + 0.2 * this.density, now, AMBIENT_MOOD_RAMP_S);
+        this.gritGain.gain.setTargetAtTime(max(0, harsh - 0.5) * 0.3, now, AMBIENT_METER_RAMP_S);
+    }
+    
+    /** One short high chord tone; the next is scheduled sooner the denser (noisier) the mood */
+    plink(now) {
+        const ac = this.ac;
+        const third = Math.random() < this.happy ? 4 : 3;
+        const chord = [0, third, 7, 12, 12 + third];
+        const semis = 24 + chord[Math.floor(Math.random() * chord.length)];
+        const osc = ac.createOscillator();
+        osc.frequency.value = semitonesToHz(AMBIENT_ROOT_HZ, semis);
+        const env = ac.createGain();
+        env.gain.setValueAtTime(0.0001, now);
+        env.gain.exponentialRampToValueAtTime(0.06, now + 0.02);
+        env.gain.exponentialRampToValueAtTime(0.0001, now + 1.8);
+        osc.connect(env);
+        env.connect(this.output);
+        osc.start(now);
+        osc.stop(now + 1.9);
+        osc.onended = () => {
+            osc.disconnect();
+            env.disconnect();
+        };
+        this.nextPlinkTime = now + (1 + Math.random() * 5) / (0.15 + this.density);
+    }
+    
+    stop() {
+        for (const src of this.sources) {
+            try { src.stop(); } catch (e) { /* already stopped */ }
+            src.disconnect();
+        }
+        this.sources = [];
+        this.output.disconnect();
+    }
+}
+
+/** Voices preallocated per sound recipe; when a pool is busy its oldest voice is retriggered */
+const VOICES_PER_RECIPE = 4;
+/** Voices sounding at once across all pools; past this the oldest elsewhere is released early */
+const MAX_POLYPHONY = 10;
+/** Release (s) given to a voice cut short by the polyphony cap — long enough not to click */
+const STEAL_RELEASE_S = 0.03;
+
+/** ripple.maxRadius range mapped onto the echo/reverb send (small ripples stay dry) */
+const SEND_RADIUS_MIN = 60;
+const SEND_RADIUS_MAX = 400;
+const REVERB_SECONDS = 2.4;
+const ECHO_DELAY_S = 0.27;
+const ECHO_FEEDBACK = 0.35;
+
+/**
+ * Equal-power position panner: stereo pans by x only; quad (FL, FR, RL, RR channels)
+ * also pans front→back by y, with the top of the pond treated as the front pair.
+ * set() takes x, y in 0–1.
+ */
+function createPositionPanner(ac, quad) {
+    if (!quad) {
+        const node = ac.createStereoPanner();
+        return {
+            input: node,
+            output: node,
+            set(x, y, t) { node.pan.setValueAtTime(x * 2 - 1, t); },
+        };
+    }
+    const input = ac.createGain();
+    const output = ac.createChannelMerger(4);
+    const corners = [0, 1, 2, 3].map((ch) => {
+        const g = ac.createGain();
+        input.connect(g);
+        g.connect(output, 0, ch);
+        return g;
+    });
+    return {
+        input,
+        output,
+        set(x, y, t) {
+            const [l, r] = [Math.cos(x * HALF_PI), Math.sin(x * HALF_PI)];
+            const [f, b] = [Math.cos(y * HALF_PI), Math.sin(y * HALF_PI)];
+            [l * f, r * f, l * b, r * b].forEach((gain, ch) => corners[ch].gain.setValueAtTime(gain, t));
+        },
+    };
+}
+
+/**
+ * One preallocated instance of a recipe: its sources run continuously at zero amplitude and
+ * each layer's envelope shapes a note on trigger(), so playing allocates no audio nodes.
+ */
+class SynthVoice {
+    /**
+     * bus: { ac, dry, send, quad, createLayer } — layers (built by the backend's createLayer)
+     * feed input → panner → dry, and input → sendGain → send
+     */
+    constructor(layers, bus) {
+        const { ac } = bus;
+        this.input = ac.createGain();
+        this.panner = createPositionPanner(ac, bus.quad);
+        this.sendGain = ac.createGain();
+        this.sendGain.gain.value = 0;
+        this.input.connect(this.panner.input);
+        this.panner.output.connect(bus.dry);
+        this.input.connect(this.sendGain);
+        this.sendGain.connect(bus.send);
+        this.busyUntil = 0;
+        this.startedAt = 0;
+        this.releasing = false;
+        this.layers = layers.map((spec) => bus.createLayer(spec, this.input));
+        // Sustain time is 0, so a note lasts attack + decay + release after its layer delay
+        this.durationS = Math.max(...layers.map(({ adsr, delay = 0 }) => delay + adsr[0] + adsr[1] + adsr[3]));
+    }
+    
+    isBusy(now) {
+        return this.busyUntil > now;
+    }
+    
+    /** place: { x, y } in 0–1 plus send (0–1 echo/reverb amount) */
+    trigger(volume, now, place) {
+        this.panner.set(place.x, place.y, now);
+        this.sendGain.gain.setValueAtTime(place.send, now);
+        this.layers.forEach((layer) => layer.trigger(volume, now));
+        this.startedAt = now;
+        this.busyUntil = now + this.durationS;
+        this.releasing = false;
+    }
+    
+    /** Fade out early (polyphony cap) */
+    release(now) {
+        this.layers.forEach((layer) => layer.release(now, STEAL_RELEASE_S));
+        this.busyUntil = now + STEAL_RELEASE_S;
+        this.releasing = true;
+    }
+    
+    dispose() {
+        this.layers.forEach((layer) => layer.dispose());
+        this.layers = [];
+        this.input.disconnect();
+        this.panner.output.disconnect();
+        this.sendGain.disconnect();
+    }
+}
+
+/**
+ * A SOUND_RECIPES layer on p5.sound: source (+ filter) running at zero amplitude, shaped by a p5.Envelope.
+ * Layers share one interface with WebAudioLayer: trigger(volume, now), release(now, seconds), dispose().
+ */
+class P5SoundLayer {
+    constructor(spec, input) {
+        this.spec = spec;
+        this.src = spec.noise ? new p5.Noise(spec.noise) : new p5.Oscillator(spec.wave);
+        if (spec.freq) this.src.freq(spec.freq);
+        this.src.amp(0);
+        this.filter = null;
+        if (spec.filter) {
+            this.filter = spec.filter.type === 'bandpass' ? new p5.BandPass() : new p5.LowPass();
+            this.filter.freq(spec.filter.freq);
+            if (spec.filter.res) this.filter.res(spec.filter.res);
+            this.src.disconnect();
+            this.src.connect(this.filter);
+        }
+        // p5.sound sources start wired to the speakers
+        const out = this.filter || this.src;
+        out.disconnect();
+        out.connect(input);
+        this.src.start();
+        this.env = new p5.Envelope();
+    }
+    
+    trigger(volume, now) {
+        this.env.setADSR(...this.spec.adsr);
+        this.env.setRange(volume * this.spec.level, 0);
+        this.env.play(this.src, this.spec.delay || 0);
+    }
+    
+    release(now, seconds) {
+        const [a, d, s] = this.spec.adsr;
+        this.env.setADSR(a, d, s, seconds);
+        this.env.triggerRelease(this.src);
+    }
+    
+    dispose() {
+        this.src.stop();
+        this.src.disconnect();
+        if (this.src.dispose) this.src.dispose();
+        if (this.filter && this.filter.dispose) this.filter.dispose();
+        if (this.env.dispose) this.env.dispose();
+    }
+}
+
+/** The same layer on bare OscillatorNode / AudioBufferSourceNode / BiquadFilterNode / GainNode (no AudioWorklet) */
+class WebAudioLayer {
+    constructor(ac, spec, input) {
+        this.spec = spec;
+        if (spec.noise) {
+            this.src = ac.createBufferSource();
+            this.src.buffer = whiteNoiseBuffer(ac);
+            this.src.loop = true;
+        } else {
+            this.src = ac.createOscillator();
+            this.src.type = spec.wave;
+            this.src.frequency.value = spec.freq;
+        }
+        this.amp = ac.createGain();
+        this.amp.gain.value = 0;
+        this.filter = null;
+        if (spec.filter) {
+            this.filter = ac.createBiquadFilter();
+            this.filter.type = spec.filter.type;
+            this.filter.frequency.value = spec.filter.freq;
+            if (spec.filter.res) this.filter.Q.value = spec.filter.res;
+            this.src.connect(this.filter);
+            this.filter.connect(this.amp);
+        } else {
+            this.src.connect(this.amp);
+        }
+        this.amp.connect(input);
+        this.src.start();
+    }
+    
+    /** Linear ADSR matching p5.Envelope: attack to peak, decay to peak × sustain, release to 0 */
+    trigger(volume, now) {
+        const [a, d, s, r] = this.spec.adsr;
+        const peak = volume * this.spec.level;
+        const t0 = now + (this.spec.delay || 0);
+        const gain = this.amp.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(peak, t0 + a);
+        gain.linearRampToValueAtTime(peak * s, t0 + a + d);
+        gain.linearRampToValueAtTime(0, t0 + a + d + r);
+    }
+    
+    release(now, seconds) {
+        const gain = this.amp.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + seconds);
+    }
+    
+    dispose() {
+        this.src.stop();
+        this.src.disconnect();
+        if (this.filter) this.filter.disconnect();
+        this.amp.disconnect();
+    }
+}
+
+class VoicePool {
+    constructor(layers, size, bus) {
+        this.voices = [];
+        for (let i = 0; i < size; i++) this.voices.push(new SynthVoice(layers, bus));
+    }
+    
+    /** A free voice, else the one that started longest ago (stolen) */
+    acquire(now) {
+        let oldest = this.voices[0];
+        for (const voice of this.voices) {
+            if (!voice.isBusy(now)) return voice;
+            if (voice.startedAt < oldest.startedAt) oldest = voice;
+        }
+        return oldest;
+    }
+    
+    dispose() {
+        this.voices.forEach((voice) => voice.dispose());
+        this.voices = [];
+    }
+}
+
+class SoundManager {
+    constructor() {
+        this.ambient = null;
+        this.pools = {}; // recipe → VoicePool
         this.isMuted = false;
-        this.audioEnabled = canUsePSound();
+        // Bus (Web Audio nodes, see initBus); null when audio is off
+        this.actionBus = null;
+        this.ambientBus = null;
+        this.fxBus = null;
+        this.quad = false;
+        this.masterFilter = null;
+        this.compressor = null;
+        this.masterGain = null;
+        this.lastCutoffHz = LOWPASS_OPEN_HZ;
+        this.lastMasterLevel = 1;
+        this.recovering = false;
+        this.ac = null;
+        this.applyConfig(exhibitConfig.sound);
+        this.audioEnabled = this.constructor.isSupported();
         if (!this.audioEnabled) {
             if (typeof console !== 'undefined' && console.warn) {
-                console.warn(
-                    'Digital Ripples: Web Audio (p5.sound) needs a secure context. Use https:// or localhost for sound; visuals still work over http:// on your LAN.'
-                );
+                console.warn('Digital Ripples: no Web Audio in this browser; continuing without sound.');
             }
             return;
         }
         try {
+            this.ac = this.createContext();
+            this.initBus();
             this.initAmbient();
+            this.initVoices();
         } catch (e) {
             this.audioEnabled = false;
-            this.ambientOsc = null;
+            this.ambient = null;
             if (typeof console !== 'undefined' && console.warn) {
                 console.warn('Digital Ripples: Web Audio failed to start; continuing without sound.', e);
             }
         }
     }
     
-    initAmbient() {
-        // Create subtle looping ambient water tone
-        this.ambientOsc = new p5.Oscillator('sine');
-        this.ambientOsc.freq(60); // Low frequency for water-like sound
-        this.ambientOsc.amp(0);
-        
-        // Add some modulation for water effect
-        const lfo = new p5.Oscillator('sine');
-        lfo.freq(0.1); // Very slow modulation
-        lfo.amp(5); // Small frequency modulation
-        lfo.start();
-        lfo.disconnect(); // We'll manually connect if needed
-        
-        this.ambientOsc.start();
-        this.ambientOsc.amp(0.05 * this.masterVolume); // Very quiet
+    static isSupported() {
+        return canUsePSound();
     }
     
-    playActionSound(actionType) {
-        if (!this.audioEnabled || this.isMuted) return;
-        
-        switch(actionType) {
-            case ACTIONS.LIKE:
-                this.playLikeSound();
-                break;
-            case ACTIONS.DISLIKE:
-                this.playDislikeSound();
-                break;
-            case ACTIONS.POSITIVE_COMMENT:
-                this.playPositiveCommentSound();
-                break;
-            case ACTIONS.NEGATIVE_COMMENT:
-                this.playNegativeCommentSound();
-                break;
+    // Backend hooks — WebAudioSoundManager overrides these three; everything else is shared
+    createContext() {
+        return getAudioContext();
+    }
+    
+    outputNode() {
+        return p5.soundOut && p5.soundOut.input ? p5.soundOut.input : this.ac.destination;
+    }
+    
+    createLayer(spec, input) {
+        return new P5SoundLayer(spec, input);
+    }
+    
+    /** Volumes from exhibit.json; the ambient level follows on the next updateAmbient() */
+    applyConfig(cfg) {
+        this.masterVolume = cfg.masterVolume;
+        this.ambientVolume = cfg.ambientVolume;
+        this.speakers = cfg.speakers;
+        this.reverb = cfg.reverb;
+    }
+    
+    /**
+     * voices  → panner → actionBus ───┐
+     * voices  → send   → fxBus → echo/reverb ─┤
+     * ambient → ambientBus ─────────────┴→ masterFilter (low-pass) → compressor → masterGain → p5 output
+     * masterGain comes after the compressor so overload fades are not pumped back up.
+     * Quad output skips the compressor (it is limited to two channels) and feeds the 4-channel destination directly.
+     */
+    initBus() {
+        const ac = this.ac;
+        this.quad = this.speakers === 'quad' && ac.destination.maxChannelCount >= 4;
+        if (this.speakers === 'quad' && !this.quad && typeof console !== 'undefined' && console.warn) {
+            console.warn('Digital Ripples: sound.speakers is "quad" but this output has fewer than 4 channels; using stereo.');
+        }
+        this.actionBus = ac.createGain();
+        this.ambientBus = ac.createGain();
+        this.fxBus = ac.createGain();
+        this.masterFilter = ac.createBiquadFilter();
+        this.masterFilter.type = 'lowpass';
+        this.masterFilter.frequency.value = LOWPASS_OPEN_HZ;
+        this.masterFilter.Q.value = 0.7;
+        this.masterGain = ac.createGain();
+        this.actionBus.connect(this.masterFilter);
+        this.ambientBus.connect(this.masterFilter);
+        this.initSpaceEffects(ac);
+        if (this.quad) {
+            ac.destination.channelCount = 4;
+            ac.destination.channelInterpretation = 'discrete';
+            this.masterFilter.connect(this.masterGain);
+            this.masterGain.connect(ac.destination);
+            return;
+        }
+        this.compressor = ac.createDynamicsCompressor();
+        this.compressor.threshold.value = -18;
+        this.compressor.knee.value = 12;
+        this.compressor.ratio.value = 4;
+        this.compressor.attack.value = 0.005;
+        this.compressor.release.value = 0.25;
+        this.masterFilter.connect(this.compressor);
+        this.compressor.connect(this.masterGain);
+        this.masterGain.connect(this.outputNode());
+    }
+    
+    /** fxBus → synthetic room reverb + feedback echo, both returning into the master filter */
+    initSpaceEffects(ac) {
+        const length = Math.floor(ac.sampleRate * REVERB_SECONDS);
+        const impulse = ac.createBuffer(2, length, ac.sampleRate);
+        for (let ch = 0; ch < 2; ch++) {
+            const data = impulse.getChannelData(ch);
+            for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
         }
+        const reverb = ac.createConvolver();
+        reverb.buffer = impulse;
+        const echo = ac.createDelay(1);
+        echo.delayTime.value = ECHO_DELAY_S;
+        const feedback = ac.createGain();
+        feedback.gain.value = ECHO_FEEDBACK;
+        const echoReturn = ac.createGain();
+        echoReturn.gain.value = 0.5;
+        this.fxBus.connect(reverb);
+        reverb.connect(this.masterFilter);
+        this.fxBus.connect(echo);
+        echo.connect(feedback);
+        feedback.connect(echo);
+        echo.connect(echoReturn);
+        echoReturn.connect(this.masterFilter);
     }
     
-    // LIKE: Bright bell/pluck
-    playLikeSound() {
-        const osc = new p5.Oscillator('sine');
-        const env = new p5.Envelope();
-        
-        osc.freq(440); // A4
-        env.setADSR(0.01, 0.1, 0.3, 0.5);
-        env.setRange(0.3 * this.masterVolume, 0);
-        
-        osc.start();
-        osc.connect();
-        env.play(osc);
-        
-        // Add harmonic for bell-like quality
-        setTimeout(() => {
-            const osc2 = new p5.Oscillator('sine');
-            osc2.freq(880); // Octave
-            osc2.start();
-            const env2 = new p5.Envelope();
-            env2.setADSR(0.01, 0.05, 0.2, 0.3);
-            env2.setRange(0.15 * this.masterVolume, 0);
-            env2.play(osc2);
-        }, 10);
-    }
-    
-    // DISLIKE: Lower, dull thump
-    playDislikeSound() {
-        const osc = new p5.Oscillator('sawtooth');
-        const env = new p5.Envelope();
-        
-        osc.freq(110); // Low A2
-        env.setADSR(0.05, 0.2, 0.4, 0.8);
-        env.setRange(0.25 * this.masterVolume, 0);
-        
-        osc.start();
-        osc.connect();
-        env.play(osc);
+    initAmbient() {
+        this.ambient = new AmbientEngine(this.ac, this.ambientBus);
     }
     
-    // POSITIVE COMMENT: Noisy burst
-    playPositiveCommentSound() {
-        const noise = new p5.Noise('white');
-        const env = new p5.Envelope();
-        const filter = new p5.BandPass();
-        
-        filter.freq(800);
-        filter.res(10);
-        
-        noise.connect(filter);
-        filter.connect();
-        
-        env.setADSR(0.01, 0.05, 0.1, 0.2);
-        env.setRange(0.2 * this.masterVolume, 0);
-        
-        noise.start();
-        env.play(noise);
+    initVoices() {
+        const bus = {
+            ac: this.ac,
+            dry: this.actionBus,
+            send: this.fxBus,
+            quad: this.quad,
+            createLayer: (spec, input) => this.createLayer(spec, input),
+        };
+        for (const [recipe, layers] of Object.entries(SOUND_RECIPES)) {
+            this.pools[recipe] = new VoicePool(layers, VOICES_PER_RECIPE, bus);
+        }
     }
     
-    // NEGATIVE COMMENT: Very soft muted pulse
-    playNegativeCommentSound() {
-        const osc = new p5.Oscillator('sine');
-        const env = new p5.Envelope();
-        const filter = new p5.LowPass();
-        
-        filter.freq(200); // Low pass for muted effect
-        
-        osc.freq(150);
-        osc.connect(filter);
-        filter.connect();
-        
-        env.setADSR(0.1, 0.2, 0.3, 0.5);
-        env.setRange(0.1 * this.masterVolume, 0);
+    /**
+     * pos: canvas point the ripple spawned at (panned by x, and by y on quad; null = centre).
+     * gain (0–1) ducks the voice, e.g. silenceGainAt() there. Bigger ripples send more to the echo/reverb.
+     */
+    playActionSound(actionType, pos = null, gain = 1) {
+        if (!this.audioEnabled || this.isMuted) return;
         
-        osc.start();
-        env.play(osc);
+        const { recipe, volume } = actionType.sound;
+        const pool = this.pools[recipe];
+        if (!pool) return;
+        const now = this.ac.currentTime;
+        const voice = pool.acquire(now);
+        this.enforcePolyphony(now, voice);
+        const place = {
+            x: pos ? constrain(pos.x / width, 0, 1) : 0.5,
+            y: pos ? constrain(pos.y / pondHeight, 0, 1) : 0.5,
+            send: this.reverb * map(actionType.ripple.maxRadius, SEND_RADIUS_MIN, SEND_RADIUS_MAX, 0, 1, true),
+        };
+        voice.trigger(volume * this.masterVolume * gain, now, place);
     }
     
-    updateAmbient(activityMeter) {
-        if (!this.audioEnabled || !this.ambientOsc) return;
-        
-        // Increase ambient harshness as meter rises
-        const baseAmp = 0.05;
+    /** Keep room for `incoming` under MAX_POLYPHONY by releasing the oldest other sounding voices */
+    enforcePolyphony(now, incoming) {
+        const sounding = [];
+        for (const pool of Object.values(this.pools)) {
+            for (const voice of pool.voices) {
+                if (voice !== incoming && voice.isBusy(now) && !voice.releasing) sounding.push(voice);
+            }
+        }
+        sounding.sort((a, b) => a.startedAt - b.startedAt);
+        for (let i = 0; i <= sounding.length - MAX_POLYPHONY; i++) sounding[i].release(now);
+    }
+    
+    /** Stop and free every node (voices, ambient, bus); the manager stays silent afterwards */
+    dispose() {
+        Object.values(this.pools).forEach((pool) => pool.dispose());
+        this.pools = {};
+        if (this.ambient) this.ambient.stop();
+        this.ambient = null;
+        for (const node of [this.actionBus, this.ambientBus, this.fxBus, this.masterFilter, this.compressor, this.masterGain]) {
+            if (node) node.disconnect();
+        }
+        this.actionBus = this.ambientBus = this.fxBus = this.masterFilter = this.compressor = this.masterGain = null;
+        this.audioEnabled = false;
+    }
+    
+    /** Per frame: mood from the quadrant, harshness from the meter (OVERLOAD silence is the master bus's job) */
+    updateAmbient(activityMeter, quadrant) {
+        if (!this.audioEnabled || !this.ambient) return;
         const harshness = map(activityMeter, 0, 1.0, 0, 0.3, true);
-        const targetAmp = (baseAmp + harshness) * this.masterVolume;
-        
-        // Smoothly transition
-        const currentAmp = this.ambientOsc.getAmp();
-        const newAmp = lerp(currentAmp, targetAmp, 0.05);
-        this.ambientOsc.amp(newAmp);
-        
-        // Adjust frequency for harshness
-        const baseFreq = 60;
-        const harshFreq = baseFreq + (harshness * 40);
-        this.ambientOsc.freq(harshFreq);
+        this.ambient.update(activityMeter, quadrant, (this.ambientVolume + harshness) * this.masterVolume);
     }
     
-    mute() {
-        this.isMuted = true;
-        if (this.audioEnabled && this.ambientOsc) {
-            this.ambientOsc.amp(0);
-        }
+    /** Transitions the bus needs to know about; per-frame levels come through followActivity() */
+    listenTo(activity) {
+        activity.onEnter(STATE.RECOVER, () => { this.recovering = true; });
+        activity.onExit(STATE.RECOVER, () => { this.recovering = false; });
     }
     
-    unmute() {
-        this.isMuted = false;
-        if (this.audioEnabled && this.ambientOsc) {
-            this.ambientOsc.amp(0.05 * this.masterVolume);
-        }
+    /**
+     * Audio follows the picture: low-pass closes as the meter rises, master level tracks the blackout.
+     * During RECOVER the meter only drops at the end, so the filter opens along with the fade instead.
+     */
+    followActivity(activityMeter, blackoutAlpha) {
+        this.setLowPass(this.recovering
+            ? lerp(exhibitConfig.activity.recoverMeter, activityMeter, blackoutAlpha / 255)
+            : activityMeter);
+        this.followBlackout(blackoutAlpha);
     }
     
+    /** Sweep the master low-pass down as the meter rises (open below LOWPASS_SWEEP_START, closed at overload) */
     setLowPass(activityMeter) {
-        // Apply low-pass filter during overload
-        // This would require a global filter, simplified here
+        if (!this.masterFilter) return;
+        const t = map(activityMeter, LOWPASS_SWEEP_START, activityManager.overloadThreshold, 0, 1, true);
+        const cutoff = LOWPASS_OPEN_HZ * Math.pow(LOWPASS_CLOSED_HZ / LOWPASS_OPEN_HZ, t); // exponential = even in pitch
+        if (abs(cutoff - this.lastCutoffHz) < this.lastCutoffHz * 0.01) return;
+        this.lastCutoffHz = cutoff;
+        this.masterFilter.frequency.setTargetAtTime(cutoff, this.ac.currentTime, BUS_RAMP_S);
+    }
+    
+    /** Master level tracks the picture: fades out with the OVERLOAD blackout and swells back through RECOVER */
+    followBlackout(blackoutAlpha) {
+        const level = constrain(1 - blackoutAlpha / 255, 0, 1);
+        this.isMuted = level < 0.01;
+        if (!this.masterGain || abs(level - this.lastMasterLevel) < 0.005) return;
+        this.lastMasterLevel = level;
+        this.masterGain.gain.setTargetAtTime(level, this.ac.currentTime, BUS_RAMP_S);
     }
 }
 
+/**
+ * Same SoundManager on a plain AudioContext: no p5.sound, so no AudioWorklet and therefore no secure-context
+ * requirement — this is what plain http:// LAN displays get (index.html only loads p5.sound when secure).
+ */
+class WebAudioSoundManager extends SoundManager {
+    static isSupported() {
+        return typeof window !== 'undefined' && typeof (window.AudioContext || window.webkitAudioContext) === 'function';
+    }
+    
+    /** Browsers start a context suspended until the first user gesture on the page */
+    createContext() {
+        const ac = new (window.AudioContext || window.webkitAudioContext)();
+        if (ac.state === 'suspended') {
+            const resume = () => {
+                ac.resume();
+                ['pointerdown', 'keydown', 'touchstart'].forEach((type) => window.removeEventListener(type, resume));
+            };
+            ['pointerdown', 'keydown', 'touchstart'].forEach((type) => window.addEventListener(type, resume));
+        }
+        return ac;
+    }
+    
+    outputNode() {
+        return this.ac.destination;
+    }
+    
+    createLayer(spec, input) {
+        return new WebAudioLayer(this.ac, spec, input);
+    }
+    
+    dispose() {
+        const ac = this.ac;
+        super.dispose();
+        if (ac) ac.close();
+    }
+}
+
+/** p5.sound where it loaded (secure contexts), the plain Web Audio synth elsewhere, silent if neither exists */
+function createSoundManager() {
+    if (!canUsePSound() && WebAudioSoundManager.isSupported()) return new WebAudioSoundManager();
+    return new SoundManager();
+}
+
 // ============================================================================
 // UI MANAGER
 // ============================================================================
@@ -1239,55 +2843,46 @@ class UIManager {
         this.buttonWidth = 200;
         this.buttonHeight = 150;
         this.buttonSpacing = 30;
+        this.quadrantTrail = []; // oldest first: { happySad, noiseSilence }
+        this.lastTrailSampleMs = -Infinity;
+        this.lastDriftMs = null;
+        this.applyConfig(exhibitConfig.quadrant);
         this.initButtons();
     }
     
+    /** Sort the schedule once per config; restingMood runs every frame */
+    applyConfig(quadrant) {
+        this.scheduleTimes = Object.keys(quadrant.schedule).sort();
+        this.scheduledMood = null;
+        this.scheduleCheckedMs = 0;
+    }
+    
     initButtons() {
         if (IS_DISPLAY_MODE) {
             this.buttons = [];
             return;
         }
-        // Responsive button dimensions
+        // One button per registered action, in registry order; responsive dimensions
+        const actions = [...actionRegistry.values()];
+        const n = actions.length;
+        this.buttonWidth = 200;
         this.buttonSpacing = min(30, max(8, width * 0.02));
-        const totalButtonWidth = 4 * this.buttonWidth + 3 * this.buttonSpacing;
+        const totalButtonWidth = n * this.buttonWidth + (n - 1) * this.buttonSpacing;
         if (totalButtonWidth > width - 40) {
-            this.buttonWidth = max(60, (width - 40 - 3 * this.buttonSpacing) / 4);
+            this.buttonWidth = max(60, (width - 40 - (n - 1) * this.buttonSpacing) / n);
         }
         this.buttonHeight = min(150, max(50, uiPanelHeight * 0.85));
         
-        const startX = (width - (4 * this.buttonWidth + 3 * this.buttonSpacing)) / 2;
+        const startX = (width - (n * this.buttonWidth + (n - 1) * this.buttonSpacing)) / 2;
         const y = pondHeight + (uiPanelHeight - this.buttonHeight) / 2;
         
-        this.buttons = [
-            {
-                action: ACTIONS.LIKE,
-                x: startX,
-                y: y,
-                pressed: false,
-                pressTime: 0
-            },
-            {
-                action: ACTIONS.DISLIKE,
-                x: startX + this.buttonWidth + this.buttonSpacing,
-                y: y,
-                pressed: false,
-                pressTime: 0
-            },
-            {
-                action: ACTIONS.POSITIVE_COMMENT,
-                x: startX + 2 * (this.buttonWidth + this.buttonSpacing),
-                y: y,
-                pressed: false,
-                pressTime: 0
-            },
-            {
-                action: ACTIONS.NEGATIVE_COMMENT,
-                x: startX + 3 * (this.buttonWidth + this.buttonSpacing),
-                y: y,
-                pressed: false,
-                pressTime: 0
-            }
-        ];
+        this.buttons = actions.map((action, i) => ({
+            action,
+            x: startX + i * (this.buttonWidth + this.buttonSpacing),
+            y: y,
+            pressed: false,
+            pressTime: 0
+        }));
     }
     
     handleClick(mx, my) {
@@ -1321,21 +2916,60 @@ class UIManager {
     }
     
     updateQuadrantPosition(actionType) {
-        // Update quadrant position based on action
-        switch(actionType) {
-            case ACTIONS.LIKE: // Happy (+x)
-                quadrantPosition.happySad = lerp(quadrantPosition.happySad, 1.0, QUADRANT_SMOOTHING);
-                break;
-            case ACTIONS.DISLIKE: // Sad (-x)
-                quadrantPosition.happySad = lerp(quadrantPosition.happySad, -1.0, QUADRANT_SMOOTHING);
-                break;
-            case ACTIONS.POSITIVE_COMMENT: // Noise (+y)
-                quadrantPosition.noiseSilence = lerp(quadrantPosition.noiseSilence, 1.0, QUADRANT_SMOOTHING);
-                break;
-            case ACTIONS.NEGATIVE_COMMENT: // Silence (-y)
-                quadrantPosition.noiseSilence = lerp(quadrantPosition.noiseSilence, -1.0, QUADRANT_SMOOTHING);
-                break;
+        // Pull each axis the action's vector points along toward that component (0 leaves the axis alone)
+        const [vx, vy] = actionType.vector;
+        const smoothing = exhibitConfig.quadrant.smoothing;
+        if (vx !== 0) quadrantPosition.happySad = lerp(quadrantPosition.happySad, vx, smoothing); // Happy (+x) / Sad (-x)
+        if (vy !== 0) quadrantPosition.noiseSilence = lerp(quadrantPosition.noiseSilence, vy, smoothing); // Noise (+y) / Silence (-y)
+    }
+    
+    /**
+     * Resting mood now: the latest schedule entry at or before the local time of day (wrapping past midnight), else quadrant.rest.
+     * In replay "now" is the recorded time, so a schedule plays back as it ran on the day (rest until the log has loaded).
+     * The clock is read at most once a second of sketch time.
+     */
+    restingMood(nowMs) {
+        const { schedule, rest } = exhibitConfig.quadrant;
+        const times = this.scheduleTimes;
+        if (!times.length) return rest;
+        if (this.scheduledMood === null || abs(nowMs - this.scheduleCheckedMs) >= 1000) {
+            const date = replayController ? replayController.recordedDate() : new Date();
+            if (!date) return rest;
+            const hhmm = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+            this.scheduledMood = schedule[times.filter((t) => t <= hhmm).pop() || times[times.length - 1]];
+            this.scheduleCheckedMs = nowMs;
+        }
+        return this.scheduledMood;
+    }
+    
+    /** Per frame: relax quadrantPosition toward the resting mood (half-life, so frame-rate independent) and sample the trail */
+    updateQuadrantDrift(nowMs) {
+        const { driftHalfLifeMs, trailLength, trailIntervalMs } = exhibitConfig.quadrant;
+        const dtMs = this.lastDriftMs === null ? 0 : max(0, nowMs - this.lastDriftMs);
+        this.lastDriftMs = nowMs;
+        if (driftHalfLifeMs > 0 && dtMs > 0) {
+            const mood = this.restingMood(nowMs);
+            const k = 1 - Math.pow(0.5, dtMs / driftHalfLifeMs);
+            quadrantPosition.happySad += (mood.happySad - quadrantPosition.happySad) * k;
+            quadrantPosition.noiseSilence += (mood.noiseSilence - quadrantPosition.noiseSilence) * k;
+            // A neutral resting mood never crosses an axis, so without this the dead zone would keep e.g. Sad_* forever
+            const dz = videoBackgroundManager ? videoBackgroundManager.deadZone : 0;
+            if (abs(mood.happySad) < dz && abs(mood.noiseSilence) < dz &&
+                abs(quadrantPosition.happySad) < dz && abs(quadrantPosition.noiseSilence) < dz) {
+                videoBackgroundManager.settleToRest();
+            }
         }
+        if (nowMs - this.lastTrailSampleMs >= trailIntervalMs) {
+            this.lastTrailSampleMs = nowMs;
+            this.quadrantTrail.push({ happySad: quadrantPosition.happySad, noiseSilence: quadrantPosition.noiseSilence });
+        }
+        if (this.quadrantTrail.length > trailLength) this.quadrantTrail.splice(0, this.quadrantTrail.length - trailLength);
+    }
+    
+    resetQuadrantTrail() {
+        this.quadrantTrail = [];
+        this.lastTrailSampleMs = -Infinity;
+        this.lastDriftMs = null;
     }
     
     renderQuadrantIndicator() {
@@ -1365,8 +2999,21 @@ class UIManager {
         line(0, -indicatorSize / 2, 0, indicatorSize / 2); // Vertical: Noise vs Silence
         
         // Draw current position indicator
-        const xPos = map(quadrantPosition.happySad, -1, 1, -indicatorSize / 2 + 10, indicatorSize / 2 - 10);
-        const yPos = map(quadrantPosition.noiseSilence, -1, 1, indicatorSize / 2 - 10, -indicatorSize / 2 + 10);
+        const toX = (v) => map(v, -1, 1, -indicatorSize / 2 + 10, indicatorSize / 2 - 10);
+        const toY = (v) => map(v, -1, 1, indicatorSize / 2 - 10, -indicatorSize / 2 + 10);
+        const xPos = toX(quadrantPosition.happySad);
+        const yPos = toY(quadrantPosition.noiseSilence);
+        
+        // Trail of recent positions, fading with age, ending at the live dot
+        const trail = this.quadrantTrail;
+        strokeWeight(2);
+        for (let i = 0; i < trail.length; i++) {
+            const a = trail[i];
+            const b = trail[i + 1] || quadrantPosition;
+            const fade = (i + 1) / trail.length;
+            stroke(100, 200, 255, 150 * fade);
+            line(toX(a.happySad), toY(a.noiseSilence), toX(b.happySad), toY(b.noiseSilence));
+        }
         
         // Draw position dot
         fill(100, 200, 255);
@@ -1416,19 +3063,11 @@ class UIManager {
         
         // Button icon
         noStroke();
-        switch(action) {
-            case ACTIONS.LIKE:
-                this.drawThumbUp();
-                break;
-            case ACTIONS.DISLIKE:
-                this.drawThumbDown();
-                break;
-            case ACTIONS.POSITIVE_COMMENT:
-                this.drawSmileChat();
-                break;
-            case ACTIONS.NEGATIVE_COMMENT:
-                this.drawBlockedChat();
-                break;
+        const glyph = BUTTON_GLYPHS[action.glyph];
+        if (glyph) {
+            this[glyph]();
+        } else {
+            this.drawIconGlyph(action);
         }
         
         // Label
@@ -1467,6 +3106,20 @@ class UIManager {
         arc(0, 5, 20, 15, 0, PI);
     }
     
+    /** Registry actions without a vector glyph show their echo icon (or an accent dot until it loads) */
+    drawIconGlyph(action) {
+        const img = action.icon ? actionIconImages.get(action.icon) : null;
+        if (img && img.width > 0) {
+            imageMode(CENTER);
+            const h = min(50, this.buttonHeight * 0.45);
+            image(img, 0, -10, h * (img.width / img.height), h);
+            return;
+        }
+        const [r, g, b] = getActionAccentRgb(action);
+        fill(r, g, b);
+        ellipse(0, -10, 36, 36);
+    }
+    
     drawBlockedChat() {
         fill(50, 50, 80);
         // Chat bubble
@@ -1487,58 +3140,107 @@ function getSpawnPoint(actionType) {
     const centerY = pondHeight / 2;
     const margin = min(100, width * 0.08, pondHeight * 0.08);
     
-    // Bias spawn point toward action's quadrant
-    let x, y;
-    
-    switch(actionType) {
-        case ACTIONS.LIKE: // +x (right)
-            x = random(centerX, width - margin);
-            y = random(margin, pondHeight - margin);
-            break;
-        case ACTIONS.DISLIKE: // -x (left)
-            x = random(margin, centerX);
-            y = random(margin, pondHeight - margin);
-            break;
-        case ACTIONS.POSITIVE_COMMENT: // +y (up)
-            x = random(margin, width - margin);
-            y = random(margin, centerY);
-            break;
-        case ACTIONS.NEGATIVE_COMMENT: // -y (down)
-            x = random(margin, width - margin);
-            y = random(centerY, pondHeight - margin);
-            break;
-    }
+    // Bias spawn point toward the half(s) of the pond the action's vector points at (screen y grows downward)
+    const [vx, vy] = actionType.vector;
+    const x = vx > 0 ? random(centerX, width - margin)
+        : vx < 0 ? random(margin, centerX)
+        : random(margin, width - margin);
+    const y = vy > 0 ? random(margin, centerY)
+        : vy < 0 ? random(centerY, pondHeight - margin)
+        : random(margin, pondHeight - margin);
     
     return { x, y };
 }
 
 function actionFromRemoteKey(key) {
-    switch (key) {
-        case 'LIKE': return ACTIONS.LIKE;
-        case 'DISLIKE': return ACTIONS.DISLIKE;
-        case 'POSITIVE_COMMENT': return ACTIONS.POSITIVE_COMMENT;
-        case 'NEGATIVE_COMMENT': return ACTIONS.NEGATIVE_COMMENT;
-        default: return null;
-    }
+    return getAction(key);
 }
 
-/** Shared path for local buttons, keyboard, and tablet WebSocket */
-function fireInputAction(action) {
-    if (!action || !activityManager.shouldSpawnRipples()) return;
+/**
+ * Shared path for local buttons, keyboard, tablet WebSocket and session replay.
+ * intensity (0–1) comes from /api/input callers; silent skips the sound (replay fast-forward).
+ */
+function fireInputAction(action, intensity = 1, { silent = false } = {}) {
+    if (!action) return;
+    activityManager.noteInput();
+    if (!activityManager.shouldSpawnRipples()) return;
     if (videoBackgroundManager) {
         videoBackgroundManager.ensurePlaybackStarted();
     }
     uiManager.updateQuadrantPosition(action);
     const spawn = getSpawnPoint(action);
-    while (ripples.length >= MAX_RIPPLES) ripples.shift();
-    ripples.push(new Ripple(spawn.x, spawn.y, action, millis()));
+    while (ripples.length >= exhibitConfig.ripples.maxRipples) ripples.shift();
+    const ripple = new Ripple(spawn.x, spawn.y, action, millis());
+    ripple.amplitude *= intensity;
+    ripples.push(ripple);
+    if (waveField && exhibitConfig.waveField.enabled) waveField.disturb(ripple);
     spawnIconEchoBurst(action, spawn.x, spawn.y);
-    activityManager.addActivity(action);
-    soundManager.playActionSound(action);
+    activityManager.addActivity(action, intensity);
+    if (!silent) soundManager.playActionSound(action, spawn, silenceGainAt(spawn.x, spawn.y));
+}
+
+/** Must match PROTOCOL_VERSION in server.mjs (see the protocol table there). */
+const RELAY_PROTOCOL_VERSION = 1;
+
+function sendRelayMessage(socket, msg) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ v: RELAY_PROTOCOL_VERSION, ...msg }));
+    }
+}
+
+/** Publish cadence for meter/quadrant drift; state changes go out immediately */
+const STATE_PUBLISH_INTERVAL_MS = 250;
+let statePublishDue = true; // set by every ActivityManager transition (see subscribeToActivity)
+let lastStatePublishMs = -Infinity;
+
+/** Tell controllers (via the relay) what the pond is doing so they can lock buttons during OVERLOAD. */
+function publishExhibitState() {
+    if (!displayInputSocket) return;
+    const now = millis();
+    if (!statePublishDue && now - lastStatePublishMs < STATE_PUBLISH_INTERVAL_MS) return;
+    statePublishDue = false;
+    lastStatePublishMs = now;
+    sendRelayMessage(displayInputSocket, {
+        type: 'state',
+        state: activityManager.getState(),
+        meter: activityManager.getMeter(),
+        blackout: activityManager.getBlackoutAlpha() / 255,
+        overloadRemainingMs: Math.round(activityManager.getOverloadRemainingMs()),
+        quadrant: {
+            happySad: quadrantPosition.happySad,
+            noiseSilence: quadrantPosition.noiseSilence,
+        },
+        debug: showDebug,
+    });
+}
+
+/** Operator commands from admin.html (relayed by server.mjs); same effects as the keyboard shortcuts where one exists */
+function handleRelayCommand(command) {
+    switch (command) {
+        case 'force_overload':
+            activityManager.forceOverload();
+            break;
+        case 'force_recover':
+            activityManager.forceRecover();
+            break;
+        case 'reset_meter':
+            activityManager.resetMeter();
+            break;
+        case 'reset_quadrant':
+            quadrantPosition.happySad = 0;
+            quadrantPosition.noiseSilence = 0;
+            break;
+        case 'toggle_debug':
+            showDebug = !showDebug;
+            break;
+        default:
+            return;
+    }
+    statePublishDue = true; // let the console see the result right away
 }
 
 function connectDisplayInputSocket() {
-    if (!IS_DISPLAY_MODE || typeof WebSocket === 'undefined') return;
+    if (!IS_DISPLAY_MODE || IS_REPLAY_MODE || typeof WebSocket === 'undefined') return;
     const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
     const url = `${proto}//${location.host}/ws`;
     const connect = () => {
@@ -1550,12 +3252,25 @@ function connectDisplayInputSocket() {
             return;
         }
         socket.onmessage = (ev) => {
+            let msg;
             try {
-                const msg = JSON.parse(ev.data);
-                if (msg.type !== 'input' || !msg.action) return;
+                msg = JSON.parse(ev.data);
+            } catch (e) {
+                return;
+            }
+            if (!msg || msg.v !== RELAY_PROTOCOL_VERSION) return;
+            if (msg.type === 'input') {
                 const action = actionFromRemoteKey(msg.action);
-                if (action) fireInputAction(action);
-            } catch (e) { /* ignore */ }
+                const intensity = typeof msg.intensity === 'number' ? constrain(msg.intensity, 0, 1) : 1;
+                if (action) fireInputAction(action, intensity);
+            } else if (msg.type === 'command') {
+                handleRelayCommand(msg.command);
+            } else if (msg.type === 'config') {
+                exhibitConfigFromRelay = true;
+                pendingExhibitConfig = acceptExhibitConfig(msg.config, 'relay config');
+            } else if (msg.type === 'error' && typeof console !== 'undefined') {
+                console.warn(`Digital Ripples relay: ${msg.code} — ${msg.message}`);
+            }
         };
         socket.onclose = () => {
             displayInputSocket = null;
@@ -1563,16 +3278,245 @@ function connectDisplayInputSocket() {
         };
         socket.onopen = () => {
             displayInputSocket = socket;
+            // ?key= is only needed when the relay runs with DISPLAY_SECRET (display on another machine)
+            const key = new URLSearchParams(window.location.search).get('key');
+            sendRelayMessage(socket, key ? { type: 'hello', role: 'display', key } : { type: 'hello', role: 'display' });
+            sendRelayMessage(socket, { type: 'actions', actions: actionSummaries() });
+            statePublishDue = true; // re-announce on reconnect
         };
     };
     connect();
 }
 
+// ============================================================================
+// SESSION REPLAY (index.html?mode=replay&log=…)
+// ============================================================================
+//
+// Feeds the "input" lines of a relay session log (server.mjs, NDJSON) through fireInputAction on their
+// original timing. Query params: log (file name under logs/ or any URL), speed (default 1), start (seconds),
+// seed (random/noise seed, default 1), fixed=1 (advance a fixed 1/60 s of log time per frame → deterministic
+// frames for screen capture; videos still play in real time).
+// Keys: Space pause, ←/→ seek 10 s (Shift: 60 s), [ / ] halve/double speed, Home restart.
+
+const REPLAY_STEP_MS = 1000 / 60;
+
+class ReplayController {
+    constructor(params) {
+        this.logUrl = ReplayController.resolveLogUrl(params.get('log'));
+        this.speed = max(0.05, Number(params.get('speed')) || 1);
+        this.startMs = max(0, Number(params.get('start')) || 0) * 1000;
+        this.seed = Number(params.get('seed')) || 1;
+        this.fixedStep = params.get('fixed') === '1';
+        /** [{ atMs, action, intensity }] sorted by atMs (ms since the first logged event) */
+        this.inputs = [];
+        /** [{ atMs, state }] as reported by the display that recorded the session */
+        this.recordedStates = [];
+        this.durationMs = 0;
+        this.positionMs = 0;
+        /** Epoch ms of the first logged event, so the replay knows the recorded time of day; null until loaded */
+        this.logStartMs = null;
+        this.nextInput = 0;
+        this.paused = true;
+        this.lastRealMs = null;
+        this.status = 'Loading…';
+    }
+
+    static resolveLogUrl(log) {
+        if (!log) return null;
+        // Bare file names come from the relay's loopback-only /logs/ route
+        return /[/:]/.test(log) ? log : `logs/${encodeURIComponent(log)}`;
+    }
+
+    /** Sketch time in replay: every millis() call reads the log position, so pause/seek move the whole pond */
+    installClock() {
+        Object.defineProperty(window, 'millis', {
+            value: () => this.positionMs,
+            writable: true,
+            configurable: true,
+        });
+        randomSeed(this.seed);
+        noiseSeed(this.seed);
+    }
+
+    load() {
+        if (!this.logUrl) {
+            this.status = 'No log given — add &log=session-YYYY-MM-DD.ndjson';
+            return;
+        }
+        fetch(this.logUrl, { cache: 'no-store' })
+            .then((r) => {
+                if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                return r.text();
+            })
+            .then((text) => {
+                this.parse(text);
+                this.status = this.inputs.length ? '' : 'Log has no input events';
+                if (this.startMs > 0) this.seek(this.startMs);
+                this.paused = false;
+            })
+            .catch((e) => {
+                this.status = `Could not load ${this.logUrl} (${e.message})`;
+            });
+    }
+
+    parse(text) {
+        const rows = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const row = JSON.parse(line);
+                if (typeof row.t === 'number') rows.push(row);
+            } catch (e) { /* skip torn last line */ }
+        }
+        rows.sort((a, b) => a.t - b.t);
+        const t0 = rows.length ? rows[0].t : 0;
+        this.logStartMs = rows.length ? t0 : null;
+        for (const row of rows) {
+            const atMs = row.t - t0;
+            if (row.event === 'input' && actionFromRemoteKey(row.action)) {
+                const intensity = typeof row.intensity === 'number' ? constrain(row.intensity, 0, 1) : 1;
+                this.inputs.push({ atMs, action: row.action, intensity });
+            } else if (row.event === 'state' && row.state) {
+                this.recordedStates.push({ atMs, state: row.state });
+            }
+        }
+        this.durationMs = rows.length ? rows[rows.length - 1].t - t0 : 0;
+    }
+
+    /** Wall-clock time at the current log position (drives the time-of-day resting mood in replay), or null before the log loads */
+    recordedDate() {
+        return this.logStartMs === null ? null : new Date(this.logStartMs + this.positionMs);
+    }
+
+    /** Advance the log clock and fire every input that became due; call once per frame before updates */
+    update() {
+        const realNow = performance.now();
+        const realDelta = this.lastRealMs === null ? 0 : realNow - this.lastRealMs;
+        this.lastRealMs = realNow;
+        if (this.paused) return;
+        const step = (this.fixedStep ? REPLAY_STEP_MS : realDelta) * this.speed;
+        this.positionMs = min(this.positionMs + step, this.durationMs);
+        this.fireDueInputs(false);
+        if (this.positionMs >= this.durationMs) this.paused = true;
+    }
+
+    fireDueInputs(silent) {
+        while (this.nextInput < this.inputs.length && this.inputs[this.nextInput].atMs <= this.positionMs) {
+            const input = this.inputs[this.nextInput++];
+            fireInputAction(actionFromRemoteKey(input.action), input.intensity, { silent });
+        }
+    }
+
+    /** Jump to targetMs: rewind resets the pond, then the simulation is stepped (unrendered, silent) up to the target */
+    seek(targetMs) {
+        targetMs = constrain(targetMs, 0, this.durationMs);
+        if (targetMs < this.positionMs) {
+            this.resetWorld();
+        }
+        while (this.positionMs < targetMs) {
+            this.positionMs = min(this.positionMs + REPLAY_STEP_MS, targetMs);
+            this.fireDueInputs(true);
+            activityManager.update();
+            uiManager.updateQuadrantDrift(this.positionMs);
+            ripples = ripples.filter((r) => r.update(this.positionMs));
+            updateRippleAbsorption(this.positionMs);
+            updateRippleInterference(this.positionMs);
+            if (exhibitConfig.waveField.enabled) waveField.update(this.positionMs);
+        }
+        iconBursts = [];
+    }
+
+    resetWorld() {
+        this.positionMs = 0;
+        this.nextInput = 0;
+        randomSeed(this.seed);
+        noiseSeed(this.seed);
+        ripples = [];
+        lastAbsorptionMs = null;
+        interferenceNodes = [];
+        iconBursts = [];
+        waveField.reset();
+        activityManager.reset();
+        quadrantPosition.happySad = 0;
+        quadrantPosition.noiseSilence = 0;
+        uiManager.resetQuadrantTrail();
+        if (videoBackgroundManager) videoBackgroundManager.rebaseClock(0);
+    }
+
+    recordedStateAt(ms) {
+        let state = null;
+        for (const row of this.recordedStates) {
+            if (row.atMs > ms) break;
+            state = row.state;
+        }
+        return state;
+    }
+
+    handleKey() {
+        const jump = keyIsDown(SHIFT) ? 60000 : 10000;
+        if (key === ' ') {
+            if (this.positionMs >= this.durationMs) this.seek(0);
+            this.paused = !this.paused;
+        } else if (keyCode === LEFT_ARROW) {
+            this.seek(this.positionMs - jump);
+        } else if (keyCode === RIGHT_ARROW) {
+            this.seek(this.positionMs + jump);
+        } else if (key === '[') {
+            this.speed = max(0.05, this.speed / 2);
+        } else if (key === ']') {
+            this.speed = min(64, this.speed * 2);
+        } else if (keyCode === 36) { // Home
+            this.seek(0);
+        }
+    }
+
+    static formatTime(ms) {
+        const total = floor(ms / 1000);
+        const m = floor(total / 60);
+        const sec = total % 60;
+        return `${m}:${sec < 10 ? '0' : ''}${sec}`;
+    }
+
+    renderHud() {
+        const name = this.logUrl ? decodeURIComponent(this.logUrl.split('/').pop()) : '—';
+        let line = `REPLAY ${name}  ${ReplayController.formatTime(this.positionMs)} / ${ReplayController.formatTime(this.durationMs)}`;
+        line += `  ×${this.speed}  ${this.paused ? '❚❚' : '▶'}`;
+        const recorded = this.recordedStateAt(this.positionMs);
+        if (recorded) line += `  recorded: ${recorded}`;
+        push();
+        fill(0, 0, 0, 150);
+        noStroke();
+        rect(12, height - 40, min(width - 24, 720), 28, 6);
+        fill(200, 200, 220);
+        textAlign(LEFT, CENTER);
+        textSize(13);
+        text(this.status || line, 22, height - 26);
+        pop();
+    }
+}
+
+let replayController = null;
+
 function renderDebugOverlay() {
     if (!showDebug) return;
     
     // Activity meter (debug only)
     renderActivityMeterDebug();
+    renderExhibitConfigErrors();
+}
+
+/** exhibit.json problems, so a venue retune with a typo is visible on the projector, not just in devtools */
+function renderExhibitConfigErrors() {
+    if (!exhibitConfigErrors.length) return;
+    push();
+    fill(255, 120, 120);
+    noStroke();
+    textAlign(LEFT, TOP);
+    textSize(12);
+    const lines = exhibitConfigErrors.slice(0, 6);
+    if (exhibitConfigErrors.length > lines.length) lines.push(`…and ${exhibitConfigErrors.length - lines.length} more (see console)`);
+    text(`exhibit.json:\n${lines.join('\n')}`, 20, 20);
+    pop();
 }
 
 function renderActivityMeterDebug() {
@@ -1605,16 +3549,30 @@ function renderActivityMeterDebug() {
     textAlign(LEFT);
     textSize(14);
     text(`Activity: ${activityManager.getMeter().toFixed(2)} [${state}]`, meterX, meterY - 5);
+    
+    if (activityManager.adaptive.enabled) {
+        const am = activityManager;
+        textSize(12);
+        text(
+            `Adaptive: threshold ${am.overloadThreshold.toFixed(2)} · weights ×${am.weightScale.toFixed(2)}\n` +
+            `${am.getInputsPerMinute().toFixed(1)} inputs/min · ${am.getOverloadsPerHour().toFixed(1)} overloads/h ` +
+            `(target ${am.adaptive.targetOverloadsPerHour})`,
+            meterX, meterY + meterHeight + 18
+        );
+    }
 }
 
+/** millis() when OVERLOAD was entered, null outside it (kept by subscribeToActivity) */
+let overloadGlitchSinceMs = null;
+
 /** Red "OVERLOAD" center label with shake + chromatic glitch while state is OVERLOAD */
 function renderOverloadGlitchText() {
-    if (activityManager.getState() !== STATE.OVERLOAD) return;
+    if (overloadGlitchSinceMs === null) return;
 
     const cx = width * 0.5;
     const cy = pondHeight * 0.5;
-    const elapsed = millis() - activityManager.overloadStartTime;
-    const stress = constrain(elapsed / 2000, 0, 1);
+    const elapsed = millis() - overloadGlitchSinceMs;
+    const stress = constrain(elapsed / max(1, activityManager.blackoutFadeMs), 0, 1);
     const shake = 5 + stress * 10 + random(0, 3);
 
     push();
@@ -1731,10 +3689,15 @@ function renderBackground() {
 function preload() {
     videoBackgroundManager = new VideoBackgroundManager();
     videoBackgroundManager.preloadAssets();
-    actionIconImages.set(ACTIONS.LIKE, loadImage('assets/icons/Like_Icon.png'));
-    actionIconImages.set(ACTIONS.DISLIKE, loadImage('assets/icons/Dislike_Icon.png'));
-    actionIconImages.set(ACTIONS.POSITIVE_COMMENT, loadImage('assets/icons/Positive_Comment_Icon.png'));
-    actionIconImages.set(ACTIONS.NEGATIVE_COMMENT, loadImage('assets/icons/Negative_Comment_Icon.png'));
+    ensureActionIcons(); // built-in registry; exhibit.json actions load theirs when the config arrives
+}
+
+/** Everything that reacts to ActivityManager transitions hooks in here rather than polling getState() each frame */
+function subscribeToActivity() {
+    soundManager.listenTo(activityManager);
+    activityManager.onEnter(STATE.OVERLOAD, () => { overloadGlitchSinceMs = millis(); });
+    activityManager.onExit(STATE.OVERLOAD, () => { overloadGlitchSinceMs = null; });
+    activityManager.onEnter(null, () => { statePublishDue = true; });
 }
 
 function setup() {
@@ -1743,14 +3706,24 @@ function setup() {
     frameRate(60);
     updateLayout();
     
-    // Initialize managers
+    // Initialize managers (defaults until exhibit.json arrives)
     activityManager = new ActivityManager();
-    soundManager = new SoundManager();
+    loadExhibitConfig();
+    soundManager = createSoundManager();
+    window.addEventListener('pagehide', () => soundManager.dispose());
     uiManager = new UIManager();
+    waveField = new WaveField();
+    subscribeToActivity();
     
     // Initialize background noise array for grain effect
     backgroundNoise = [];
     
+    if (IS_REPLAY_MODE) {
+        replayController = new ReplayController(new URLSearchParams(window.location.search));
+        replayController.installClock();
+        replayController.load();
+    }
+    
     if (IS_DISPLAY_MODE) {
         connectDisplayInputSocket();
         if (videoBackgroundManager) {
@@ -1784,24 +3757,26 @@ function windowResized() {
 }
 
 function draw() {
+    if (pendingExhibitConfig) {
+        applyExhibitConfig(pendingExhibitConfig);
+        pendingExhibitConfig = null;
+    }
+    if (replayController) replayController.update();
     const nowMs = millis();
     
     // Update activity manager
     activityManager.update();
     
     // Update sound manager
-    soundManager.updateAmbient(activityManager.getMeter());
-    
-    // Handle overload mute
-    if (activityManager.getState() === STATE.OVERLOAD) {
-        soundManager.mute();
-    } else if (activityManager.getState() === STATE.CALM) {
-        soundManager.unmute();
-    }
+    soundManager.updateAmbient(activityManager.getMeter(), quadrantPosition);
+    soundManager.followActivity(activityManager.getMeter(), activityManager.getBlackoutAlpha());
     
     // Base fill (visible before video frames load)
     background(12, 14, 20);
     
+    // Mood relaxes toward its resting point between presses
+    uiManager.updateQuadrantDrift(nowMs);
+    
     // Quadrant-driven video layer + smooth crossfade (sync after quadrant + variant timers)
     if (videoBackgroundManager) {
         videoBackgroundManager.updateFromQuadrant(
@@ -1813,36 +3788,23 @@ function draw() {
         videoBackgroundManager.render();
     }
     
+    // Optional heightfield bends the video where ripples have disturbed the water
+    if (exhibitConfig.waveField.enabled) {
+        waveField.update(nowMs);
+        if (activityManager.getBlackoutAlpha() < 235) waveField.refract();
+    }
+    
     // Digital pond overlay (grain, vignette) on top of video
     renderBackground();
     
-    // Update and render ripples
-    ripples = ripples.filter(ripple => {
-        const alive = ripple.update(nowMs);
-        if (alive) {
-            // Check for damping from negative comment ripples
-            let shouldDamp = false;
-            for (let other of ripples) {
-                if (other.shouldDamp(ripple)) {
-                    shouldDamp = true;
-                    break;
-                }
-            }
-            
-            if (!shouldDamp) {
-                ripple.render();
-            } else {
-                // Render with reduced amplitude
-                push();
-                const oldAmp = ripple.amplitude;
-                ripple.amplitude *= 0.3; // Damp amplitude
-                ripple.render();
-                ripple.amplitude = oldAmp;
-                pop();
-            }
-        }
-        return alive;
-    });
+    // Update ripples, let silence zones drain the ring segments they cover, then render
+    ripples = ripples.filter((ripple) => ripple.update(nowMs));
+    updateRippleAbsorption(nowMs);
+    for (const ripple of ripples) ripple.render();
+    
+    // Wavefront crossings (and any secondary ripples, which render from the next frame)
+    updateRippleInterference(nowMs);
+    if (exhibitConfig.ripples.interference) renderInterferenceNodes();
     
     iconBursts = iconBursts.filter((b) => b.stepAndDraw(nowMs));
     
@@ -1861,6 +3823,10 @@ function draw() {
     }
 
     renderOverloadGlitchText();
+
+    if (replayController) replayController.renderHud();
+
+    publishExhibitState();
 }
 
 // ============================================================================
@@ -1896,6 +3862,8 @@ function keyPressed() {
         videoBackgroundManager.ensurePlaybackStarted();
     }
     
+    if (replayController) replayController.handleKey();
+    
     // Toggle activity-meter debug overlay (quadrant chart stays visible)
     if (key === 'd' || key === 'D') {
         showDebug = !showDebug;
@@ -1906,11 +3874,9 @@ function keyPressed() {
         toggleFullscreen();
     }
     
-    // Simulate button presses with keys 1-4
-    if (key === '1') fireInputAction(ACTIONS.LIKE);
-    if (key === '2') fireInputAction(ACTIONS.DISLIKE);
-    if (key === '3') fireInputAction(ACTIONS.POSITIVE_COMMENT);
-    if (key === '4') fireInputAction(ACTIONS.NEGATIVE_COMMENT);
+    // Simulate button presses with each action's keyBinding (1-4 for the built-in set);
+    // a replay plays only the recorded taps, so live keys would break its determinism
+    if (!IS_REPLAY_MODE) fireInputAction(actionForKeyBinding(key));
 }
 
 function toggleFullscreen() {
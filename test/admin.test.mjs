@@ -0,0 +1,28 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRelay } from './relay.mjs';
+
+describe('admin login', () => {
+  let relay;
+  before(async () => { relay = await startRelay({ ADMIN_PASSWORD: 'right' }); });
+  after(() => relay.stop());
+
+  it('locks only the admin role after five wrong passwords', async () => {
+    for (let i = 0; i < 5; i++) {
+      const guess = await relay.connect('admin', { password: `wrong-${i}` });
+      assert.equal((await guess.next('error')).code, 'bad_password');
+      await guess.closed;
+    }
+
+    const admin = await relay.connect('admin', { password: 'right' });
+    const err = await admin.next('error');
+    assert.equal(err.code, 'forbidden');
+    assert.match(err.message, /try again/);
+    await admin.closed;
+
+    const tablet = await relay.connect('controller');
+    assert.equal((await tablet.next('welcome')).role, 'controller');
+    tablet.close();
+    await tablet.closed;
+  });
+});
@@ -0,0 +1,102 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRelay } from './relay.mjs';
+
+const SECRET = 'test-secret';
+
+function postJson(relay, urlPath, body, headers = {}) {
+  return relay.request(urlPath, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+function errorCode(res) {
+  return JSON.parse(res.body.toString()).error.code;
+}
+
+describe('/api/input', () => {
+  let relay;
+  let display;
+  before(async () => {
+    relay = await startRelay({ INPUT_SECRET: SECRET });
+    display = await relay.connect('display');
+    await display.next('welcome');
+  });
+  after(async () => {
+    display.close();
+    await relay.stop();
+  });
+
+  it('relays a valid input to the display', async () => {
+    const res = await postJson(relay, '/api/input', { action: 'LIKE', source: 'kiosk', intensity: 0.5 });
+    assert.equal(res.status, 202);
+    assert.deepEqual(JSON.parse(res.body.toString()), { ok: true, accepted: 1 });
+    const frame = await display.next('input');
+    assert.equal(frame.action, 'LIKE');
+    assert.equal(frame.from, 'api');
+    assert.equal(frame.source, 'kiosk');
+    assert.equal(frame.intensity, 0.5);
+  });
+
+  it('refuses an unknown action', async () => {
+    const res = await postJson(relay, '/api/input', { action: 'SHRUG', source: 'kiosk' });
+    assert.equal(res.status, 400);
+    assert.equal(errorCode(res), 'unknown_action');
+  });
+
+  it('refuses a missing source and an out-of-range intensity', async () => {
+    let res = await postJson(relay, '/api/input', { action: 'LIKE' });
+    assert.equal(res.status, 400);
+    assert.equal(errorCode(res), 'bad_frame');
+    res = await postJson(relay, '/api/input', { action: 'LIKE', source: 'kiosk', intensity: 2 });
+    assert.equal(res.status, 400);
+    assert.equal(errorCode(res), 'bad_frame');
+  });
+
+  it('refuses bad JSON and the wrong content type', async () => {
+    let res = await postJson(relay, '/api/input', '{"action":');
+    assert.equal(res.status, 400);
+    assert.equal(errorCode(res), 'bad_json');
+    res = await relay.request('/api/input', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '{}' });
+    assert.equal(res.status, 415);
+  });
+
+  it('only accepts POST', async () => {
+    const res = await relay.request('/api/input');
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.allow, 'POST');
+  });
+
+  it('answers unknown endpoints with 404', async () => {
+    const res = await postJson(relay, '/api/nope', {});
+    assert.equal(res.status, 404);
+  });
+
+  it('refuses a batch without the secret', async () => {
+    const batch = { inputs: [{ action: 'LIKE', source: 'kiosk' }] };
+    let res = await postJson(relay, '/api/input/batch', batch);
+    assert.equal(res.status, 403);
+    assert.equal(errorCode(res), 'forbidden');
+    res = await postJson(relay, '/api/input/batch', batch, { 'X-Ripples-Secret': 'wrong' });
+    assert.equal(res.status, 403);
+  });
+
+  it('accepts a batch with the secret, all or nothing', async () => {
+    const headers = { 'X-Ripples-Secret': SECRET };
+    let res = await postJson(relay, '/api/input/batch', {
+      inputs: [{ action: 'LIKE', source: 'kiosk' }, { action: 'SHRUG', source: 'kiosk' }],
+    }, headers);
+    assert.equal(res.status, 400);
+    assert.match(JSON.parse(res.body.toString()).error.message, /^inputs\[1\]/);
+
+    res = await postJson(relay, '/api/input/batch', {
+      inputs: [{ action: 'DISLIKE', source: 'kiosk' }, { action: 'NEGATIVE_COMMENT', source: 'kiosk' }],
+    }, headers);
+    assert.equal(res.status, 202);
+    assert.equal(JSON.parse(res.body.toString()).accepted, 2);
+    assert.equal((await display.next('input')).action, 'DISLIKE');
+    assert.equal((await display.next('input')).action, 'NEGATIVE_COMMENT');
+  });
+});
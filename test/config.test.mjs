@@ -0,0 +1,29 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { startRelay } from './relay.mjs';
+
+const EXHIBIT_PATH = fileURLToPath(new URL('../exhibit.json', import.meta.url));
+
+describe('admin config edits', () => {
+  let relay;
+  before(async () => { relay = await startRelay({ ADMIN_PASSWORD: 'right' }); });
+  after(() => relay.stop());
+
+  it('refuses unknown sections and wrong types without touching exhibit.json', async () => {
+    const before = fs.readFileSync(EXHIBIT_PATH, 'utf8');
+    const admin = await relay.connect('admin', { password: 'right' });
+    await admin.next('welcome');
+    admin.send({ type: 'config', config: { activty: {}, sound: 3, activity: { overloadThreshold: null } } });
+    const status = await admin.next('config_status');
+    assert.equal(status.from, 'relay');
+    assert.equal(status.errors.length, 3);
+    assert.match(status.errors.join('\n'), /^activty: unknown section/m);
+    assert.match(status.errors.join('\n'), /^sound: must be an object/m);
+    assert.match(status.errors.join('\n'), /^activity\.overloadThreshold: must be/m);
+    assert.equal(fs.readFileSync(EXHIBIT_PATH, 'utf8'), before);
+    admin.close();
+    await admin.closed;
+  });
+});
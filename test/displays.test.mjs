@@ -0,0 +1,89 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRelay } from './relay.mjs';
+
+const KEY = 'display-key';
+
+function actionList(...keys) {
+  return keys.map((key) => ({ key, name: key, label: key }));
+}
+
+describe('display authentication', () => {
+  let relay;
+  before(async () => { relay = await startRelay({ DISPLAY_SECRET: KEY }); });
+  after(() => relay.stop());
+
+  it('refuses a display without the key', async () => {
+    const fake = await relay.connect('display');
+    const err = await fake.next('error');
+    assert.equal(err.code, 'forbidden');
+    assert.equal(await fake.closed, 1008);
+  });
+
+  it('refuses a display with the wrong key', async () => {
+    const fake = await relay.connect('display', { key: 'guess' });
+    assert.equal((await fake.next('error')).code, 'forbidden');
+    assert.equal(await fake.closed, 1008);
+  });
+
+  it('only passes state from an authenticated display to the tablets', async () => {
+    const tablet = await relay.connect('controller');
+    await tablet.next('welcome');
+    const overload = { type: 'state', state: 'OVERLOAD', meter: 1, blackout: 1, overloadRemainingMs: 9000, quadrant: { happySad: 0, noiseSilence: 0 } };
+
+    const fake = await relay.connect('display');
+    fake.send(overload);
+    await fake.closed;
+    tablet.send({ type: 'hello', role: 'controller' }); // any reply proves the relay has handled the fake's frames
+    await tablet.next('error');
+    await assert.rejects(tablet.next('state', 200));
+
+    const display = await relay.connect('display', { key: KEY });
+    await display.next('welcome');
+    display.send(overload);
+    assert.equal((await tablet.next('state')).state, 'OVERLOAD');
+
+    display.close();
+    tablet.close();
+    await display.closed;
+  });
+
+  it('keeps the first display\'s action set while it is connected', async () => {
+    const first = await relay.connect('display', { key: KEY });
+    await first.next('welcome');
+    first.send({ type: 'actions', actions: actionList('LIKE', 'SHARE') });
+
+    const tablet = await relay.connect('controller');
+    await tablet.next('welcome');
+    assert.deepEqual((await tablet.next('actions')).actions.map((a) => a.key), ['LIKE', 'SHARE']);
+
+    const second = await relay.connect('display', { key: KEY });
+    await second.next('welcome');
+    second.send({ type: 'actions', actions: actionList('DISLIKE') });
+    assert.equal((await second.next('error')).code, 'forbidden');
+
+    tablet.send({ type: 'input', action: 'SHARE' });
+    assert.equal((await first.next('input')).action, 'SHARE');
+
+    first.close();
+    await first.closed;
+    await new Promise((resolve) => setTimeout(resolve, 100)); // let the relay run its close handler
+    second.send({ type: 'actions', actions: actionList('DISLIKE') });
+    assert.deepEqual((await tablet.next('actions')).actions.map((a) => a.key), ['DISLIKE']);
+
+    second.close();
+    tablet.close();
+  });
+});
+
+describe('display addresses', () => {
+  let relay;
+  before(async () => { relay = await startRelay(); });
+  after(() => relay.stop());
+
+  it('accepts a display on the relay machine without a key', async () => {
+    const display = await relay.connect('display');
+    assert.equal((await display.next('welcome')).role, 'display');
+    display.close();
+  });
+});
@@ -0,0 +1,22 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRelay } from './relay.mjs';
+
+describe('flood protection', () => {
+  let relay;
+  before(async () => {
+    relay = await startRelay({ RELAY_RATE_PER_SEC: '1', RELAY_RATE_BURST: '1', RELAY_ABUSE_DROPS: '5' });
+  });
+  after(() => relay.stop());
+
+  it('kicks a flooding client on this machine without banning the address', async () => {
+    const tablet = await relay.connect('controller');
+    for (let i = 0; i < 20; i++) tablet.send({ type: 'input', action: 'LIKE' });
+    assert.equal(await tablet.closed, 1008);
+
+    const display = await relay.connect('display');
+    assert.equal((await display.next('welcome')).role, 'display');
+    display.close();
+    await display.closed;
+  });
+});
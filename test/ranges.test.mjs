@@ -0,0 +1,68 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { startRelay } from './relay.mjs';
+
+const ICON_PATH = '/assets/icons/Like.png';
+const icon = fs.readFileSync(fileURLToPath(new URL(`..${ICON_PATH}`, import.meta.url)));
+
+describe('range, conditional and HEAD requests', () => {
+  let relay;
+  before(async () => { relay = await startRelay(); });
+  after(() => relay.stop());
+
+  it('answers a byte range with 206 and only those bytes', async () => {
+    const res = await relay.request(ICON_PATH, { headers: { Range: 'bytes=0-99' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-range'], `bytes 0-99/${icon.length}`);
+    assert.equal(res.headers['content-length'], '100');
+    assert.deepEqual(res.body, icon.subarray(0, 100));
+  });
+
+  it('answers a suffix range with the last bytes', async () => {
+    const res = await relay.request(ICON_PATH, { headers: { Range: 'bytes=-10' } });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-range'], `bytes ${icon.length - 10}-${icon.length - 1}/${icon.length}`);
+    assert.deepEqual(res.body, icon.subarray(icon.length - 10));
+  });
+
+  it('answers a range past the end with 416', async () => {
+    const res = await relay.request(ICON_PATH, { headers: { Range: `bytes=${icon.length}-` } });
+    assert.equal(res.status, 416);
+    assert.equal(res.headers['content-range'], `bytes */${icon.length}`);
+  });
+
+  it('ignores a malformed range and sends the whole file', async () => {
+    const res = await relay.request(ICON_PATH, { headers: { Range: 'bytes=0-1,5-6' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, icon.length);
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const first = await relay.request(ICON_PATH);
+    assert.ok(first.headers.etag);
+    const res = await relay.request(ICON_PATH, { headers: { 'If-None-Match': first.headers.etag } });
+    assert.equal(res.status, 304);
+    assert.equal(res.body.length, 0);
+  });
+
+  it('sends the full file when If-Range no longer matches', async () => {
+    const res = await relay.request(ICON_PATH, { headers: { Range: 'bytes=0-9', 'If-Range': 'W/"stale"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, icon.length);
+  });
+
+  it('answers HEAD with headers but no body', async () => {
+    const res = await relay.request(ICON_PATH, { method: 'HEAD' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-length'], String(icon.length));
+    assert.equal(res.headers['accept-ranges'], 'bytes');
+    assert.equal(res.body.length, 0);
+  });
+
+  it('marks scripts no-cache so kiosks revalidate', async () => {
+    const res = await relay.request('/sketch.js', { method: 'HEAD' });
+    assert.equal(res.headers['cache-control'], 'no-cache');
+  });
+});
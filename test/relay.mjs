@@ -0,0 +1,109 @@
+/**
+ * Shared helper for the relay tests: runs server.mjs as a child process on a free port
+ * with its session log in a throwaway folder.
+ */
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.mjs', import.meta.url));
+
+export async function startRelay(env = {}) {
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ripples-test-'));
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, PORT: '0', LOG_DIR: logDir, ADMIN_PASSWORD: '', INPUT_SECRET: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`relay did not start:\n${output}`)), 10000);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      const m = /Digital Ripples server http:\/\/0\.0\.0\.0:(\d+)\//.exec(output);
+      if (m) {
+        clearTimeout(timer);
+        resolve(Number(m[1]));
+      }
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`relay exited (${code}):\n${output}`));
+    });
+  });
+  const base = `http://127.0.0.1:${port}`;
+  return {
+    port,
+    base,
+    logDir,
+    /** Raw request so the path reaches the server exactly as written (fetch would resolve %2e%2e itself) */
+    request(urlPath, { method = 'GET', headers = {}, body } = {}) {
+      return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+      });
+    },
+    /** Open /ws and send hello; resolves once the relay answers it (welcome or error) */
+    async connect(role, hello = {}) {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+      const inbox = [];
+      const waiters = [];
+      ws.on('message', (raw) => {
+        const msg = JSON.parse(raw.toString());
+        const i = waiters.findIndex((w) => w.type === msg.type);
+        if (i >= 0) waiters.splice(i, 1)[0].resolve(msg);
+        else inbox.push(msg);
+      });
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+      });
+      const client = {
+        ws,
+        /** Resolves with the close code once the socket closes */
+        closed: new Promise((resolve) => ws.once('close', (code) => resolve(code))),
+        send(msg) {
+          ws.send(JSON.stringify({ v: 1, ...msg }));
+        },
+        /** Next frame of `type` (already received or still to come) */
+        next(type, timeoutMs = 2000) {
+          const i = inbox.findIndex((msg) => msg.type === type);
+          if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+          return new Promise((resolve, reject) => {
+            const waiter = { type, resolve };
+            waiters.push(waiter);
+            setTimeout(() => {
+              const j = waiters.indexOf(waiter);
+              if (j >= 0) {
+                waiters.splice(j, 1);
+                reject(new Error(`no '${type}' frame within ${timeoutMs} ms`));
+              }
+            }, timeoutMs);
+          });
+        },
+        close() {
+          ws.close();
+        },
+      };
+      client.send({ type: 'hello', role, ...hello });
+      return client;
+    },
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        await exited;
+      }
+      fs.rmSync(logDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,22 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { startRelay } from './relay.mjs';
+
+// UTC+14: its local date differs from the UTC date for half of every day, so a UTC file name shows up quickly
+const TZ = 'Pacific/Kiritimati';
+
+describe('session log', () => {
+  let relay;
+  before(async () => { relay = await startRelay({ TZ }); });
+  after(() => relay.stop());
+
+  it('names the file by the local date', async () => {
+    const tablet = await relay.connect('controller');
+    await tablet.next('welcome');
+    tablet.close();
+    await tablet.closed;
+    const day = new Intl.DateTimeFormat('en-CA', { timeZone: TZ }).format(new Date());
+    assert.ok(fs.readdirSync(relay.logDir).includes(`session-${day}.ndjson`));
+  });
+});
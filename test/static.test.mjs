@@ -0,0 +1,31 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRelay } from './relay.mjs';
+
+describe('static files', () => {
+  let relay;
+  before(async () => { relay = await startRelay(); });
+  after(() => relay.stop());
+
+  for (const urlPath of ['/', '/sketch.js', '/assets/icons/Like.png']) {
+    it(`serves ${urlPath}`, async () => {
+      const res = await relay.request(urlPath);
+      assert.equal(res.status, 200);
+    });
+  }
+
+  for (const urlPath of [
+    '/github-ssh/config',
+    '/.git/HEAD',
+    '/%2e%2e/planning.md',
+    '/assets/%2e%2e/planning.md',
+    '/assets/videos/.gitkeep',
+    '/planning.md',
+    '/package.json',
+  ]) {
+    it(`refuses ${urlPath}`, async () => {
+      const res = await relay.request(urlPath);
+      assert.equal(res.status, 404);
+    });
+  }
+});